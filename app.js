@@ -11,25 +11,19 @@ const CONFIG = {
   bearing: 20,
   minZoom: 18,
   maxZoom: 22,
+  walkingSpeed: 1.4, // m/s
+  // Kiosk mode, e.g. { node: "g_main_entrance", facing: 180, idleTimeout: 90 }
+  // (facing in degrees from north, idleTimeout in seconds)
+  kiosk: null,
+  // Venue-only style with no basemap tiles (also ?offline)
+  offline: false,
+  // Map text glyphs, bundled by fetch_offline_assets.js
+  glyphs: "vendor/glyphs/{fontstack}/{range}.pbf",
 };
 
-// Category colors for consistent styling
-const CATEGORY_COLORS = {
-  entrance: "#4A90D9",
-  parking: "#6B7280",
-  elevator: "#9CA3AF",
-  security: "#DC2626",
-  atm: "#059669",
-  store: "#EC4899",
-  corridor: "#F3F4F6",
-  washroom: "#0EA5E9",
-  info: "#6366F1",
-  food: "#F97316",
-  entertainment: "#7C3AED",
-  seating: "#FCD34D",
-  common: "#E8D5B7",
-  building: "#1F2937",
-};
+// Category colors for consistent styling. The registry lives in
+// floorplan_schema.js, where it also defines which categories are valid.
+const CATEGORY_COLORS = FloorplanSchema.CATEGORY_COLORS;
 
 // Category icons for labels
 const CATEGORY_ICONS = {
@@ -47,8 +41,61 @@ const CATEGORY_ICONS = {
   seating: "🪑",
   common: "🏛️",
   building: "🏢",
+  stall: "🏪",
+  fire_extinguisher: "🧯",
+  drinking_water: "🚰",
+  first_aid: "⛑️",
+};
+
+// Display names for category chips and lists
+const CATEGORY_LABELS = {
+  store: "Stores",
+  food: "Food",
+  entertainment: "Entertainment",
+  washroom: "Washroom",
+  atm: "ATM",
+  info: "Info",
+  seating: "Seating",
+  parking: "Parking",
+  entrance: "Entrances",
+  elevator: "Elevators",
+  storage: "Storage",
+  stall: "Kiosks", // Retail kiosks; "kiosk" is the wall-mounted You-are-here screen
+  fire_extinguisher: "Fire Extinguishers",
+  drinking_water: "Drinking Water",
+  first_aid: "First Aid",
+  kiosk: "You Are Here",
+};
+
+// Connector types a navGraph edge can carry. `secondsPerFloor` is the time to
+// change one level (ride plus average wait); `speedFactor` scales walking speed.
+const EDGE_TYPES = {
+  walk: { label: "Walk", icon: "🚶" },
+  ramp: { label: "Ramp", icon: "♿", speedFactor: 0.8 },
+  stairs: { label: "Stairs", icon: "🪜", secondsPerFloor: 20 },
+  escalator: { label: "Escalator", icon: "↗️", secondsPerFloor: 25 },
+  elevator: { label: "Elevator", icon: "🛗", secondsPerFloor: 45 },
+  outdoor: { label: "Outdoor path", icon: "🌳" }, // Between buildings
+};
+
+// Route profiles offered in the "Find Your Way" panel
+const ROUTE_PROFILES = {
+  fastest: { label: "Fastest", avoid: [] },
+  "step-free": { label: "Step-free", avoid: ["stairs", "escalator"] },
+  "avoid-escalators": { label: "Avoid escalators", avoid: ["escalator"] },
 };
 
+// Used when the floorplan has no "floors" manifest. Each floor has an id (the
+// `level` of its features and navGraph nodes), a short button label, a display
+// name, its elevation and its floor-to-floor height in metres. Level -1 is
+// reserved for structure shown on every floor.
+const DEFAULT_FLOORS = [
+  { id: 0, label: "G", name: "Ground Floor", elevation: 0, height: 4 },
+  { id: 1, label: "1", name: "First Floor", elevation: 4, height: 4 },
+  { id: 2, label: "2", name: "Second Floor", elevation: 8, height: 4 },
+];
+const STRUCTURE_LEVEL_NAME = "All Floors"; // Name for level -1
+
 // ===== Global State =====
 let map = null;
 let floorplanData = null;
@@ -62,7 +109,9 @@ let dashOffset = 0;
 // ===== DOM Elements =====
 const elements = {
   loading: document.getElementById("loading"),
-  floorButtons: document.querySelectorAll(".floor-btn"),
+  buildingSwitcher: document.getElementById("building-switcher"),
+  floorButtonsContainer: document.querySelector(".floor-buttons"),
+  floorButtons: [], // Filled by renderFloorButtons
   roomInfo: document.getElementById("room-info"),
   roomName: document.getElementById("room-name"),
   roomCategory: document.getElementById("room-category"),
@@ -71,151 +120,359 @@ const elements = {
   navTo: document.getElementById("nav-to"),
   navigateBtn: document.getElementById("navigate-btn"),
   navResult: document.getElementById("nav-result"),
+  navProfile: document.getElementById("nav-profile"),
+  navStops: document.getElementById("nav-stops"),
+  addStopBtn: document.getElementById("add-stop-btn"),
+  navOptimise: document.getElementById("nav-optimise"),
   closeNav: document.getElementById("close-nav"),
   setStartBtn: document.getElementById("set-start-btn"),
   setDestBtn: document.getElementById("set-dest-btn"),
   view3dBtn: document.getElementById("view-3d"),
   view2dBtn: document.getElementById("view-2d"),
+  storeSearch: document.getElementById("store-search"),
+  searchChips: document.getElementById("search-chips"),
+  searchResults: document.getElementById("search-results"),
+  directory: document.getElementById("directory"),
+  directoryList: document.getElementById("directory-list"),
+  dataIssues: document.getElementById("data-issues"),
+  dataIssuesSummary: document.getElementById("data-issues-summary"),
+  dataIssuesList: document.getElementById("data-issues-list"),
+  editModeBtn: document.getElementById("edit-mode"),
+  editorPanel: document.getElementById("editor-panel"),
+  editorStatus: document.getElementById("editor-status"),
+  editorForm: document.getElementById("editor-form"),
+  editorFields: document.getElementById("editor-fields"),
+  editorName: document.getElementById("editor-name"),
+  editorCategory: document.getElementById("editor-category"),
+  editorColor: document.getElementById("editor-color"),
+  editorDescription: document.getElementById("editor-description"),
+  editorHeight: document.getElementById("editor-height"),
+  editorDrawBtn: document.getElementById("editor-draw"),
+  editorDeleteBtn: document.getElementById("editor-delete"),
+  editorDownloadBtn: document.getElementById("editor-download"),
+  editorDoneBtn: document.getElementById("editor-done"),
+  editorTabs: document.querySelectorAll(".editor-tab"),
+  unitEditor: document.getElementById("unit-editor"),
+  graphEditor: document.getElementById("graph-editor"),
+  graphNode: document.getElementById("graph-node"),
+  graphNodeId: document.getElementById("graph-node-id"),
+  graphNodeName: document.getElementById("graph-node-name"),
+  graphNodeUnits: document.getElementById("graph-node-units"),
+  graphLinkBtn: document.getElementById("graph-link"),
+  graphDeleteBtn: document.getElementById("graph-delete"),
 };
 
 // ===== Initialize Application =====
 async function init() {
+  registerServiceWorker();
   try {
-    // Load all data sources: floorplan, walls, and the new referenced building
-    const [floorplanRes, wallRes, refBuildingRes] = await Promise.all([
-      fetch("mall-floorplan.geojson"),
-      fetch("wall_data.geojson"),
-      fetch("building_refrenced_data.geojson")
+    // Load the venue and every building's data sources
+    const [venueJson, rulesJson] = await Promise.all([
+      fetchJson("venue.json"),
+      fetchJson("category_rules.json"),
+      resolveGlyphsUrl().then((url) => (glyphsUrl = url)),
+      window.maplibreReady, // index.html loads MapLibre from vendor/ or the CDN
     ]);
-    
-    const floorplanJson = await floorplanRes.json();
-    const wallJson = await wallRes.json();
-    const refBuildingJson = await refBuildingRes.json();
-    
-    // Process wall data and merge into floorplan
-    const processedWalls = wallJson.features.map(feature => ({
-      ...feature,
-      properties: {
-        ...(feature.properties || {}),
-        category: "wall",
-        level: -1, 
-        height: (feature.properties && feature.properties.name === "wall_extrude") ? 4 : 0.5,
-        base_height: 0,
-        color: (feature.properties && feature.properties.color) || "#94A3B8", 
-        description: "Building structure"
-      }
-    }));
-
-    // Process Referenced Building Data with Detailed Tactical Categorization
-    const processedRefBuilding = refBuildingJson.features.map((feature, index) => {
-      const name = (feature.properties.name || "").toLowerCase();
-      
-      let category = "common";
-      let height = 1;
-      let base_height = 0;
-      let color = "#475569"; // Default Slate
-      let description = "Unidentified Structure";
-
-      // Tactical Categorization Logic
-      if (name.includes("wall")) {
-        category = "wall";
-        height = 6;
-        color = "#334155"; // Dark Slate
-        description = "Reinforced Perimeter";
-        if (name.includes("fake")) {
-           description = "Concealed Passage";
-           color = "#475569"; // Slightly lighter to distinguish for user (or keep same for secretion)
-        }
-      } 
-      else if (name.includes("security") || name.includes("watchman")) {
-        category = "security";
-        height = name.includes("dog") ? 0.8 : 1.8; // Dogs are shorter
-        color = "#1e3a8a"; // Blue
-        description = name.includes("dog") ? "K9 Unit" : "Security Personnel";
-      }
-      else if (name.includes("employee") || name.includes("staff")) {
-        category = "staff";
-        height = 1.75;
-        color = "#f59e0b"; // Amber/Yellow
-        description = "Authorized Personnel";
-      }
-      else if (name.includes("chair")) {
-        category = "furniture";
-        height = 0.8;
-        color = "#78350f"; // Wood/Brown
-        description = "Seating";
-      }
-      else if (name.includes("desk") || name.includes("table") || name.includes("helpdesk")) {
-        category = "furniture";
-        height = 1.1;
-        color = "#a16207"; // Light Wood/Gold-ish
-        description = "Workstation";
-      }
-      else if (name.includes("camera")) {
-        category = "surveillance";
-        height = 0.5; 
-        base_height = 3.5; // Mount on ceiling/high wall
-        color = "#ef4444"; // Red (Active)
-        description = "Surveillance Node";
-      }
-      else if (name.includes("target") || name.includes("locker")) {
-        category = "objective";
-        height = 1.5;
-        color = "#10b981"; // Emerald
-        description = "Mission Objective";
-      }
-      else if (name.includes("door")) {
-        category = "entrance";
-        height = 2.2;
-        color = "#000000"; // Black
-        description = "Access Point";
-      }
-      else if (name.includes("label")) {
-        category = "label";
-        height = 0; // Flat
-        color = "transparent"; // Or discrete
-        description = "Signage";
-      }
-
-      return {
-        ...feature,
-        id: `ref_${index}`,
-        properties: {
-          ...(feature.properties || {}),
-          level: -1,
-          height: height,
-          base_height: base_height,
-          color: color,
-          category: category,
-          description: description
-        }
-      };
-    });
+    categoryRules = rulesJson;
+    const buildings = await Promise.all(venueJson.buildings.map(loadBuilding));
 
-    floorplanData = { 
-      type: "FeatureCollection", 
-      features: [...floorplanJson.features, ...processedWalls, ...processedRefBuilding] 
-    };
-    navGraph = floorplanJson.navGraph;
+    setupVenue(venueJson, buildings);
+    setupKiosk();
     
+    renderBuildingSwitcher();
+    renderFloorButtons();
     initMap();
     populateNavigationOptions();
+    populateSearchChips();
+    renderDirectory();
     setupEventListeners();
+    setupEditor();
+    if (kiosk) {
+      elements.navFrom.value = KIOSK_START_NAME;
+      restartKioskIdleTimer();
+    }
   } catch (error) {
     console.error("Failed to initialize:", error);
-    alert("Failed to load map data. Please refresh the page.");
+    reportDataIssues([{ severity: "error", code: "load-failed", message: error.message }]);
+    elements.loading.classList.add("hidden");
+  }
+}
+
+// Fetch and parse a data file, naming the file in any error
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not load ${url} (HTTP ${response.status})`);
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new Error(`${url} is not valid JSON: ${error.message}`);
+  }
+}
+
+// ===== Feature Processors =====
+// Referenced building data, categorised by the shared name-keyword rules in
+// category_rules.json (also used by update_geojson.js)
+let categoryRules = null;
+
+function processTacticalFeatures(features) {
+  return CategoryRules.applyRules(features, categoryRules).map((feature, index) => ({
+    ...feature,
+    id: `ref_${index}`,
+    properties: { ...feature.properties, level: -1 },
+  }));
+}
+
+// ===== Venue & Buildings =====
+// A venue is a set of buildings (venue.json), each with its own features,
+// floors and navGraph. The graphs are merged for routing and joined by the
+// venue's outdoor connector edges; every feature and node knows its building.
+let venue = null; // { name, buildings: [{ id, name, floors, bounds }], connectors }
+let currentBuilding = null;
+const sourceFiles = new Map(); // url -> unprocessed source file as loaded (minus features), for the editor
+const sourceBuilds = new Map(); // url -> build_floorplan.js manifest of a generated source (venue.json "build")
+
+// Turn source files into processed features, keyed by the "processor" named
+// in venue.json (plain floorplan files need none)
+const FEATURE_PROCESSORS = {
+  tactical: processTacticalFeatures,
+};
+
+async function loadBuilding(definition) {
+  const sources = await Promise.all(
+    definition.sources.map(async (source) => {
+      const json = await fetchJson(source.url);
+      if (!Array.isArray(json.features)) throw new Error(`${source.url} has no features array`);
+      const processor = FEATURE_PROCESSORS[source.processor];
+      if (!processor) sourceFiles.set(source.url, { ...json, features: null });
+      if (source.build) sourceBuilds.set(source.url, source.build);
+      return { ...json, url: source.url, features: processor ? processor(json.features) : json.features };
+    })
+  );
+
+  const manifest = (sources.find((source) => Array.isArray(source.floors)) || {}).floors;
+  if (!manifest) console.warn(`${definition.name} has no floors manifest; using the default three floors`);
+  const floors = normalizeFloors(manifest || DEFAULT_FLOORS);
+
+  // Check processed features against the schema; invalid ones are left out
+  // and listed in the data-issues panel rather than patched with defaults
+  const features = sources.flatMap((source) => {
+    const issues = FloorplanSchema.validateFeatures(source.features, {
+      floors: floors.map((floor) => floor.id),
+      source: source.url,
+    });
+    reportDataIssues(issues);
+    const invalid = new Set(issues.filter((issue) => issue.severity === "error").map((issue) => issue.index));
+    const valid = source.features.filter((feature, index) => !invalid.has(index));
+    // Remember where unprocessed features came from so the editor can write them back
+    if (sourceFiles.has(source.url)) {
+      valid.forEach((feature) => {
+        feature.properties = { ...feature.properties, source: source.url, source_id: feature.id };
+      });
+    }
+    return valid;
+  });
+  features.forEach((feature) => {
+    feature.properties = { ...feature.properties, building: definition.id };
+  });
+
+  const graph = { nodes: {}, edges: [] };
+  sources.filter((source) => source.navGraph).forEach((source) => {
+    Object.assign(graph.nodes, source.navGraph.nodes);
+    graph.edges.push(...source.navGraph.edges);
+  });
+
+  // The footprint is the building outline, or everything in it when there is none
+  const outlines = features.filter((f) => f.properties.isOutline || f.properties.category === "outline");
+
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    floors,
+    bounds: getFeaturesBounds(outlines.length > 0 ? outlines : features),
+    features,
+    navGraph: graph,
+  };
+}
+
+function setupVenue(venueJson, buildings) {
+  venue = {
+    name: venueJson.name,
+    buildings: buildings.map(({ id, name, floors, bounds }) => ({ id, name, floors, bounds })),
+    connectors: venueJson.connectors || [],
+  };
+
+  floorplanData = { type: "FeatureCollection", features: buildings.flatMap((b) => b.features) };
+
+  navGraph = { nodes: {}, edges: [] };
+  buildings.forEach((building) => {
+    Object.entries(building.navGraph.nodes).forEach(([id, node]) => {
+      if (navGraph.nodes[id]) console.warn(`navGraph node "${id}" exists in more than one building`);
+      navGraph.nodes[id] = { ...node, building: building.id };
+    });
+    navGraph.edges.push(...building.navGraph.edges);
+  });
+  navGraph.edges.push(...venue.connectors);
+  navAdjacency = null;
+
+  activateBuilding(venue.buildings[0].id);
+}
+
+function getBuilding(id = currentBuilding) {
+  return venue.buildings.find((building) => building.id === id);
+}
+
+function buildingName(id) {
+  const building = getBuilding(id);
+  return building ? building.name : id;
+}
+
+// Switch buildings without touching the map (used before it exists)
+function activateBuilding(id) {
+  currentBuilding = id;
+  currentFloor = getDefaultFloor(id);
+}
+
+// [[west, south], [east, north]] of a feature list
+function getFeaturesBounds(features) {
+  const bounds = [[Infinity, Infinity], [-Infinity, -Infinity]];
+  const extend = (coords) => {
+    if (typeof coords[0] === "number") {
+      bounds[0] = [Math.min(bounds[0][0], coords[0]), Math.min(bounds[0][1], coords[1])];
+      bounds[1] = [Math.max(bounds[1][0], coords[0]), Math.max(bounds[1][1], coords[1])];
+    } else {
+      coords.forEach(extend);
+    }
+  };
+  features.forEach((f) => f.geometry && extend(f.geometry.coordinates));
+  return bounds;
+}
+
+function setBuilding(id, fly = true) {
+  const building = getBuilding(id);
+  if (!building) return;
+
+  if (id !== currentBuilding) {
+    if (editor.active && !editableSourceFor(id)) setEditMode(false);
+    activateBuilding(id);
+    if (editor.active) {
+      cancelEditorDraft();
+      selectEditorFeature(null);
+      selectGraphNode(null);
+    }
+    updateEditModeButton();
+    renderFloorButtons();
+    renderBuildingSwitcher();
+    updateFloorFilter(currentFloor);
+  }
+  if (fly) {
+    map.fitBounds(building.bounds, { padding: 80, pitch: map.getPitch(), bearing: map.getBearing(), duration: 1500 });
+  }
+  syncUrlState();
+}
+
+function renderBuildingSwitcher() {
+  const switcher = elements.buildingSwitcher;
+  switcher.innerHTML = "";
+  switcher.classList.toggle("hidden", venue.buildings.length < 2);
+
+  venue.buildings.forEach((building) => {
+    const btn = document.createElement("button");
+    btn.className = "building-btn" + (building.id === currentBuilding ? " active" : "");
+    btn.textContent = building.name;
+    btn.addEventListener("click", () => setBuilding(building.id));
+    switcher.appendChild(btn);
+  });
+}
+
+// ===== Floors =====
+function normalizeFloors(manifest) {
+  return manifest
+    .map((floor) => ({
+      id: Number(floor.id),
+      label: String(floor.label != null ? floor.label : floor.id),
+      name: floor.name || `Floor ${floor.label != null ? floor.label : floor.id}`,
+      elevation: Number(floor.elevation) || 0,
+      height: Number(floor.height) || 4,
+    }))
+    .sort((a, b) => a.elevation - b.elevation);
+}
+
+// Floors of a building, bottom to top
+function getFloors(buildingId = currentBuilding) {
+  const building = getBuilding(buildingId);
+  return building ? building.floors : DEFAULT_FLOORS;
+}
+
+// The ground floor, or the lowest one if nothing sits at 0 m
+function getDefaultFloor(buildingId = currentBuilding) {
+  const floors = getFloors(buildingId);
+  return (floors.find((floor) => floor.elevation === 0) || floors[0]).id;
+}
+
+function getFloor(level, buildingId = currentBuilding) {
+  return getFloors(buildingId).find((floor) => floor.id === level);
+}
+
+function floorLabel(level, buildingId = currentBuilding) {
+  const floor = getFloor(level, buildingId);
+  return floor ? floor.label : level;
+}
+
+function floorName(level, buildingId = currentBuilding) {
+  if (level === -1) return STRUCTURE_LEVEL_NAME;
+  const floor = getFloor(level, buildingId);
+  return floor ? floor.name : `Floor ${level}`;
+}
+
+// Height of a floor's walking surface in metres. Fractional levels (an avatar
+// half-way up a lift shaft) are interpolated between the floors either side.
+function floorElevation(level, buildingId = currentBuilding) {
+  const floors = getFloors(buildingId);
+  const floor = getFloor(level, buildingId);
+  if (floor) return floor.elevation;
+
+  const below = [...floors].reverse().find((f) => f.id < level);
+  const above = floors.find((f) => f.id > level);
+  if (below && above) {
+    return below.elevation + (above.elevation - below.elevation) * (level - below.id) / (above.id - below.id);
   }
+  return below ? below.elevation : above ? above.elevation : 0;
+}
+
+// Number of storeys between two levels, as counted in the manifest
+function floorsBetween(levelA, levelB, buildingId = currentBuilding) {
+  const floors = getFloors(buildingId);
+  const a = floors.findIndex((floor) => floor.id === levelA);
+  const b = floors.findIndex((floor) => floor.id === levelB);
+  return a === -1 || b === -1 ? Math.abs(levelA - levelB) : Math.abs(a - b);
+}
+
+// Floor selector for the current building, top floor first
+function renderFloorButtons() {
+  elements.floorButtonsContainer.innerHTML = "";
+  [...getFloors()].reverse().forEach((floor) => {
+    const btn = document.createElement("button");
+    btn.className = "floor-btn" + (floor.id === currentFloor ? " active" : "");
+    btn.dataset.floor = floor.id;
+    btn.innerHTML = '<span class="floor-number"></span><span class="floor-name"></span>';
+    btn.querySelector(".floor-number").textContent = floor.label;
+    btn.querySelector(".floor-name").textContent = floor.name;
+    btn.addEventListener("click", () => setFloor(floor.id));
+    elements.floorButtonsContainer.appendChild(btn);
+  });
+  elements.floorButtons = elements.floorButtonsContainer.querySelectorAll(".floor-btn");
 }
 
 // ===== Initialize MapLibre Map =====
 function initMap() {
+  const basemap = !isOfflineMode();
   map = new maplibregl.Map({
     container: "map",
     style: {
       version: 8,
       name: "Aitsun blue print",
-      sources: {
-        "carto-dark": {
+      sources: basemap ? {
+        [BASEMAP_SOURCE]: {
           type: "raster",
           tiles: [
             "https://a.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png",
@@ -225,25 +482,22 @@ function initMap() {
           tileSize: 256,
           attribution: '&copy; Aitsun Blueprint | Security Clearance Required'
         },
-      },
+      } : {},
       layers: [
         {
           id: "background",
           type: "background",
           paint: { "background-color": "#050a10" }, // Dark background (matches theme)
         },
-        {
-          id: "carto-dark-layer",
+        ...(basemap ? [{
+          id: BASEMAP_LAYER,
           type: "raster",
-          source: "carto-dark",
-        },
+          source: BASEMAP_SOURCE,
+        }] : []),
       ],
-      glyphs: "https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf",
+      glyphs: glyphsUrl,
     },
-    center: CONFIG.center,
-    zoom: CONFIG.zoom,
-    pitch: CONFIG.pitch,
-    bearing: CONFIG.bearing,
+    ...getHomeView(),
     minZoom: CONFIG.minZoom,
     maxZoom: CONFIG.maxZoom,
     antialias: true,
@@ -265,76 +519,63 @@ function initMap() {
 
   map.on("load", () => {
     addFloorplanLayers();
+    applyUrlState(readUrlState());
     hideLoading();
   });
 
-  map.on("click", "room-extrusion", handleRoomClick);
+  map.on("error", handleBasemapError);
+  map.on("styleimagemissing", handleMissingAmenityIcon);
+  ROOM_LAYERS.forEach((layer) => {
+    map.on("click", layer, handleRoomClick);
+    map.on("mousemove", layer, handleRoomHover);
+    map.on("mouseleave", layer, handleRoomLeave);
+  });
+}
 
-  map.on("mousemove", "room-extrusion", (e) => {
-    if (e.features.length > 0) {
-      const feature = e.features[0];
-// if (feature.properties.category === "building") return; // Allow hover on building/wall features
-      if (feature.properties.isOutline) return;
-      
-      map.getCanvas().style.cursor = "pointer";
-
-      // Clear previous hover state
-      if (hoveredFeatureId !== null && hoveredFeatureId !== undefined) {
-        map.setFeatureState(
-          { source: "floorplan", id: hoveredFeatureId },
-          { hover: false }
-        );
-      }
+function handleRoomHover(e) {
+  if (e.features.length > 0) {
+    const feature = e.features[0];
+    // if (feature.properties.category === "building") return; // Allow hover on building/wall features
+    if (feature.properties.isOutline) return;
 
-      // Set new hover state only if feature has an id
-      const newId = e.features[0].id;
-      if (newId !== null && newId !== undefined) {
-        hoveredFeatureId = newId;
-        map.setFeatureState(
-          { source: "floorplan", id: hoveredFeatureId },
-          { hover: true }
-        );
-      }
-    }
-  });
+    map.getCanvas().style.cursor = "pointer";
+    setHoveredFeature(feature.id);
+  }
+}
 
-  map.on("mouseleave", "room-extrusion", () => {
-    map.getCanvas().style.cursor = "";
-    if (hoveredFeatureId !== null && hoveredFeatureId !== undefined) {
-      map.setFeatureState(
-        { source: "floorplan", id: hoveredFeatureId },
-        { hover: false }
-      );
-      hoveredFeatureId = null;
-    }
-  });
+function handleRoomLeave() {
+  map.getCanvas().style.cursor = "";
+  setHoveredFeature(null);
+}
+
+// Moves the `hover` feature-state (map hover, directory entries) to a feature
+function setHoveredFeature(id) {
+  if (hoveredFeatureId !== null && hoveredFeatureId !== undefined) {
+    map.setFeatureState(
+      { source: "floorplan", id: hoveredFeatureId },
+      { hover: false }
+    );
+  }
+
+  // Set new hover state only if feature has an id
+  hoveredFeatureId = id;
+  if (id !== null && id !== undefined) {
+    map.setFeatureState(
+      { source: "floorplan", id },
+      { hover: true }
+    );
+  }
 }
 
 // ===== Add Floorplan Layers =====
+const ROOM_LAYERS = ["room-extrusion", "room-lines", "amenity-icons"]; // Clickable layers of the floorplan source
+const ROOM_LINE_FILTER = ["in", ["geometry-type"], ["literal", ["LineString", "MultiLineString"]]];
+
 function addFloorplanLayers() {
-  // Assign IDs for feature state
-  // Assign IDs for feature state
+  // Assign IDs for feature state. Features were checked against the schema
+  // when loaded, so their properties are already complete.
   floorplanData.features = floorplanData.features.map((feature, index) => {
-    // Ensure properties exists
-    if (!feature.properties) feature.properties = {};
-    
-    // Assign defaults for missing properties to prevent MapLibre errors
     feature.properties.id = index;
-    if (feature.properties.color == null) feature.properties.color = "#cccccc";
-    
-    // Ensure numbers are actual numbers (not strings)
-    feature.properties.height = (feature.properties.height == null) ? 3 : Number(feature.properties.height);
-    if (isNaN(feature.properties.height)) feature.properties.height = 3;
-    
-    feature.properties.base_height = (feature.properties.base_height == null) ? 0 : Number(feature.properties.base_height);
-    if (isNaN(feature.properties.base_height)) feature.properties.base_height = 0;
-    
-    feature.properties.level = (feature.properties.level == null) ? 0 : Number(feature.properties.level);
-    if (isNaN(feature.properties.level)) feature.properties.level = 0;
-
-    if (feature.properties.category == null) feature.properties.category = "common";
-    if (feature.properties.isOutline == null) feature.properties.isOutline = false;
-
     return { ...feature, id: index };
   });
 
@@ -369,6 +610,8 @@ function addFloorplanLayers() {
         "case",
         ["boolean", ["feature-state", "hover"], false],
         "#fbbf24",
+        ["boolean", ["feature-state", "highlight"], false],
+        "#ff3333",
         ["coalesce", ["get", "color"], "#cccccc"]
       ],
       "fill-extrusion-height": ["coalesce", ["get", "height"], 0],
@@ -377,88 +620,174 @@ function addFloorplanLayers() {
     },
   });
 
-  // Create 3D labels using HTML markers with altitude-aware offsets
+  // Line features (railings, walkways, barriers) have no area to extrude
+  map.addLayer({
+    id: "room-lines",
+    type: "line",
+    source: "floorplan",
+    filter: ["all", ROOM_LINE_FILTER, ["!=", ["get", "isOutline"], true]],
+    paint: {
+      "line-color": [
+        "case",
+        ["boolean", ["feature-state", "hover"], false],
+        "#fbbf24",
+        ["boolean", ["feature-state", "highlight"], false],
+        "#ff3333",
+        ["coalesce", ["get", "color"], "#cccccc"]
+      ],
+      "line-width": 3,
+    },
+  });
+
+  addAmenityLayer();
   addStoreLabels();
+  if (kiosk) addKioskMarker();
 
   updateFloorFilter(currentFloor);
 }
 
-// ===== Add Store Labels using HTML Markers =====
-let storeMarkers = [];
+// ===== Store Labels (Symbol Layer) =====
+// Names are drawn by a symbol layer over a point source of label anchors, so
+// MapLibre places them on the GPU and drops colliding ones: higher-priority
+// categories win, then larger units. updateFloorFilter filters the layer with
+// the same expression as the rooms.
+const LABEL_FONT = ["Open Sans Semibold"]; // Must be one of FONTSTACKS in fetch_offline_assets.js
+const LABEL_CATEGORY_PRIORITY = ["entrance", "elevator", "store", "food", "entertainment", "washroom", "atm", "info", "parking"];
+const LABEL_HIDDEN_CATEGORIES = ["outline", "building", "wall", "kiosk"]; // The kiosk has its own marker
+const LABEL_HIDDEN_NAMES = ["object", "wall_extrude"];
+
+function getLabelFeatures() {
+  return floorplanData.features
+    .filter((feature) => {
+      const props = feature.properties;
+      if (props.isOutline || LABEL_HIDDEN_CATEGORIES.includes(props.category)) return false;
+      if (isAmenityPoint(feature)) return false; // Drawn as an icon instead
+      return Boolean(props.name) && !LABEL_HIDDEN_NAMES.includes(props.name);
+    })
+    .map((feature) => {
+      const props = feature.properties;
+      const rank = LABEL_CATEGORY_PRIORITY.indexOf(props.category);
+      const area = Geometry.areaMeters(feature.geometry);
+      return {
+        type: "Feature",
+        id: feature.id, // Same id as the room, for the route's special ids in the floor filter
+        properties: {
+          name: props.name,
+          category: props.category,
+          level: props.level,
+          building: props.building,
+          // Lower keys are placed first
+          sortKey: (rank === -1 ? LABEL_CATEGORY_PRIORITY.length : rank) * 1e6 - Math.min(area, 1e6 - 1),
+        },
+        geometry: {
+          type: "Point",
+          coordinates: getFeatureCenter(feature),
+        },
+      };
+    });
+}
 
+// Adds the label layer, or refreshes its anchors after the floorplan changed
 function addStoreLabels() {
-  // Remove existing markers
-  storeMarkers.forEach(item => item.marker.remove());
-  storeMarkers = [];
-
-  floorplanData.features.forEach(feature => {
-    const props = feature.properties;
-    
-    // Skip outline and building features
-    if (props.isOutline || props.category === 'outline' || props.category === 'building' || props.category === 'wall') return;
-    if (!props.name || props.name === 'object' || props.name === 'wall_extrude') return;
-
-    // Calculate centroid based on geometry type
-    let centroid;
-    if (feature.geometry.type === 'Point') {
-      centroid = feature.geometry.coordinates;
-    } else if (feature.geometry.type === 'Polygon') {
-      const coords = feature.geometry.coordinates[0];
-      let sumLng = 0, sumLat = 0;
-      coords.forEach(coord => {
-        sumLng += coord[0];
-        sumLat += coord[1];
-      });
-      centroid = [sumLng / coords.length, sumLat / coords.length];
-    } else {
-      // Fallback or skip other types like LineString for now if needed, or implement logic
-      return; 
-    }
+  const data = { type: "FeatureCollection", features: getLabelFeatures() };
+  if (map.getSource("store-labels")) {
+    map.getSource("store-labels").setData(data);
+    return;
+  }
 
-    // Create marker element
-    const el = document.createElement('div');
-    el.className = 'store-label';
-    el.textContent = props.name;
-    el.dataset.level = props.level;
-    el.style.cssText = `
-      background: rgba(0, 0, 0, 0.85);
-      color: white;
-      padding: 4px 10px;
-      border-radius: 4px;
-      font-size: 11px;
-      font-weight: bold;
-      white-space: nowrap;
-      pointer-events: none;
-      border: 1px solid rgba(255, 255, 255, 0.4);
-      box-shadow: 0 2px 6px rgba(0,0,0,0.5);
-    `;
+  map.addSource("store-labels", { type: "geojson", data });
+  map.addLayer({
+    id: "store-labels",
+    type: "symbol",
+    source: "store-labels",
+    layout: {
+      "text-field": ["get", "name"],
+      "text-font": LABEL_FONT,
+      "text-size": 12,
+      "text-max-width": 8,
+      "text-padding": 4,
+      "symbol-sort-key": ["get", "sortKey"],
+      "text-pitch-alignment": "viewport",
+      "text-rotation-alignment": "viewport",
+    },
+    paint: {
+      "text-color": "#ff3333",
+      "text-halo-color": "#000000",
+      "text-halo-width": 2,
+      "text-halo-blur": 0.5,
+    },
+  });
+}
 
-    // Initialize marker without offset first
-    const marker = new maplibregl.Marker({
-      element: el,
-      anchor: 'bottom'
-    })
-      .setLngLat(centroid)
-      .addTo(map);
+// ===== Amenity Icons =====
+// Point features of these categories (ATMs, fire extinguishers, ...) are drawn
+// by a symbol layer as the category's icon on a disc of its color. The images
+// are painted on a canvas the first time the layer asks for them, so a new
+// category only needs an entry in CATEGORY_ICONS and CATEGORY_COLORS.
+const AMENITY_CATEGORIES = ["atm", "info", "washroom", "seating", "parking", "stall", "fire_extinguisher", "drinking_water", "first_aid"];
+const AMENITY_FILTER = ["all", ["==", ["geometry-type"], "Point"], ["in", ["get", "category"], ["literal", AMENITY_CATEGORIES]]];
+const AMENITY_ICON_PREFIX = "amenity-";
+const AMENITY_ICON_SIZE = 28; // CSS pixels
+
+function isAmenityPoint(feature) {
+  return feature.geometry.type === "Point" && AMENITY_CATEGORIES.includes(feature.properties.category);
+}
 
-    storeMarkers.push({ 
-      marker, 
-      level: props.level, 
-      element: el, 
-      centroid,
-      height: props.height || 0,
-      base_height: props.base_height || 0,
-      id: feature.id
-    });
+function addAmenityLayer() {
+  map.addLayer({
+    id: "amenity-icons",
+    type: "symbol",
+    source: "floorplan",
+    filter: AMENITY_FILTER,
+    layout: {
+      "icon-image": ["concat", AMENITY_ICON_PREFIX, ["get", "category"]],
+      "icon-size": ["interpolate", ["linear"], ["zoom"], 18, 0.6, 21, 1],
+      "icon-allow-overlap": true,
+      "icon-pitch-alignment": "viewport",
+    },
+    paint: {
+      "icon-opacity": [
+        "case",
+        ["boolean", ["feature-state", "hover"], false],
+        0.75,
+        1
+      ],
+    },
   });
+}
 
-  // Update positions initially and on map move
-  updateLabelPositions();
-  map.on('move', updateLabelPositions);
-  map.on('zoom', updateLabelPositions);
-  map.on('pitch', updateLabelPositions);
+function handleMissingAmenityIcon(e) {
+  if (!e.id.startsWith(AMENITY_ICON_PREFIX) || map.hasImage(e.id)) return;
+  const pixelRatio = window.devicePixelRatio || 1;
+  map.addImage(e.id, drawAmenityIcon(e.id.slice(AMENITY_ICON_PREFIX.length), pixelRatio), { pixelRatio });
+}
+
+function drawAmenityIcon(category, pixelRatio) {
+  const size = Math.round(AMENITY_ICON_SIZE * pixelRatio);
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size / 2 - pixelRatio, 0, Math.PI * 2);
+  ctx.fillStyle = CATEGORY_COLORS[category] || "#6366F1";
+  ctx.fill();
+  ctx.lineWidth = 2 * pixelRatio;
+  ctx.strokeStyle = "#ffffff";
+  ctx.stroke();
+
+  ctx.font = `${Math.round(size * 0.55)}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(CATEGORY_ICONS[category] || "📍", size / 2, size / 2 + pixelRatio);
+
+  return ctx.getImageData(0, 0, size, size);
 }
 
+// HTML markers shown or hidden by updateFloorFilter (the kiosk's "You are here")
+let floorMarkers = [];
+
 // ===== Helper: Calculate 3D Altitude in Pixels =====
 function calculatePixelAltitude(height, zoom, pitch) {
   // Formula: height * pxPerMeter * pitchFactor
@@ -479,10 +808,7 @@ function updateLabelPositions() {
   const zoom = map.getZoom();
   const pitch = map.getPitch();
   
-  // Combine both marker sets
-  const allMarkers = [...storeMarkers, ...navigationMarkers];
-
-  allMarkers.forEach(({ marker, height, base_height }) => {
+  navigationMarkers.forEach(({ marker, height, base_height }) => {
     // Total height of the roof relative to ground
     const totalHeight = (base_height || 0) + (height || 0);
     
@@ -504,12 +830,23 @@ function updateLabelPositions() {
 // ===== Handle Room Click =====
 function handleRoomClick(e) {
   if (e.features.length === 0) return;
+  if (editor.active) {
+    handleEditorFeatureClick(e);
+    return;
+  }
 
-  const feature = e.features[0];
+  // Rendered features carry tile-clipped geometry; centre on the whole shape
+  const feature = floorplanData.features.find((f) => f.id === e.features[0].id) || e.features[0];
   const props = feature.properties;
 
   if (props.category === "building" || props.category === "corridor") return;
 
+  showRoomInfo(feature);
+}
+
+// ===== Show Room Info Panel =====
+function showRoomInfo(feature) {
+  const props = feature.properties;
   selectedRoom = props;
 
   elements.roomName.textContent = props.name;
@@ -520,10 +857,10 @@ function handleRoomClick(e) {
     props.description || "No description available";
 
   elements.roomInfo.classList.add("show");
+  syncUrlState();
 
-  const coordinates = getFeatureCenter(feature);
   map.flyTo({
-    center: coordinates,
+    center: getFeatureCenter(feature),
     zoom: 21,
     pitch: 60,
     duration: 800,
@@ -531,22 +868,16 @@ function handleRoomClick(e) {
 }
 
 // ===== Get Feature Center =====
+// A point inside the feature for labels, the camera and nearest-node lookups
+// (see Geometry.labelPoint in geometry.js), for any geometry type
 function getFeatureCenter(feature) {
-  const coords = feature.geometry.coordinates[0];
-  let sumLng = 0,
-    sumLat = 0;
-
-  for (let i = 0; i < coords.length - 1; i++) {
-    sumLng += coords[i][0];
-    sumLat += coords[i][1];
-  }
-
-  return [sumLng / (coords.length - 1), sumLat / (coords.length - 1)];
+  return Geometry.labelPoint(feature.geometry);
 }
 
-// ===== Populate Navigation Dropdowns =====
-function populateNavigationOptions() {
-  const locations = floorplanData.features
+// ===== Navigable Features =====
+// Places a visitor can pick as a start, destination or search result
+function getNavigableFeatures() {
+  return floorplanData.features
     .filter(
       (f) =>
         f.properties.category !== "corridor" &&
@@ -563,252 +894,855 @@ function populateNavigationOptions() {
           }
           return true; // Include all other levels normally
         })()
-    )
-    .map((f) => ({
-      name: f.properties.name,
-      level: f.properties.level !== undefined ? f.properties.level : 0,
-      category: f.properties.category,
-    }))
-    .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+    );
+}
 
-  elements.navFrom.innerHTML = '<option value="">Select starting point...</option>';
-  elements.navTo.innerHTML = '<option value="">Select destination...</option>';
+// What visitors browse in search and the directory: the navigable features
+// minus the kiosk's "You are here" point, which is only a route start
+function getListedFeatures() {
+  return getNavigableFeatures().filter((f) => !f.properties.isKiosk);
+}
 
-  const floorNames = {
-    "-1": "Target Sector",
-    "0": "Ground Floor",
-    "1": "First Floor",
-    "2": "Second Floor"
-  };
+// ===== Store Search =====
+// Type-ahead search over name, category, description and optional
+// keywords/tags, tolerant of small typos, filtered by category chips.
+const SEARCH_FIELD_WEIGHTS = { name: 3, keywords: 2, category: 2, description: 1 };
+const SEARCH_MAX_RESULTS = 8;
 
-  [-1, 0, 1, 2].forEach((level) => {
-    const floorLocations = locations.filter((l) => l.level === level);
-    if (floorLocations.length > 0) {
-      const optGroup = document.createElement("optgroup");
-      optGroup.label = floorNames[level];
+let searchCategory = null;
+let searchResults = [];
+let searchActiveIndex = -1;
+let searchHighlightId = null;
 
-      floorLocations.forEach((loc) => {
-        const option = document.createElement("option");
-        option.value = loc.name;
-        option.textContent = `${CATEGORY_ICONS[loc.category] || "📍"} ${loc.name}`;
-        optGroup.appendChild(option);
-      });
+function normalizeSearchText(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9\s]/g, " ").split(/\s+/).filter(Boolean);
+}
 
-      elements.navFrom.appendChild(optGroup.cloneNode(true));
-      elements.navTo.appendChild(optGroup);
+// Damerau-Levenshtein (optimal string alignment) distance
+function editDistance(a, b) {
+  const d = [];
+  for (let i = 0; i <= a.length; i++) d[i] = [i];
+  for (let j = 0; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
     }
-  });
+  }
+  return d[a.length][b.length];
 }
 
-// ===== Find Path Using Navigation Graph =====
-function findPath(fromName, toName) {
-  if (!navGraph) return null;
+// How well one query token matches a list of words (0 = no match)
+function scoreSearchToken(token, words) {
+  let best = 0;
+  const allowedTypos = token.length >= 8 ? 2 : token.length >= 5 ? 1 : 0;
+
+  words.forEach((word) => {
+    if (word === token) best = Math.max(best, 1);
+    else if (word.startsWith(token)) best = Math.max(best, 0.8);
+    else if (word.includes(token)) best = Math.max(best, 0.5);
+    else if (allowedTypos > 0) {
+      // Compare against the word, and against its prefix for type-ahead typos
+      const distance = Math.min(
+        editDistance(token, word),
+        editDistance(token, word.slice(0, token.length))
+      );
+      if (distance <= allowedTypos) best = Math.max(best, 0.6 - 0.2 * distance);
+    }
+  });
+  return best;
+}
 
-  // Find node IDs for the locations
-  const fromNode = findNodeByName(fromName);
-  const toNode = findNodeByName(toName);
+function searchFeatures(query, category) {
+  const tokens = normalizeSearchText(query);
+
+  return getListedFeatures()
+    .filter((f) => !category || f.properties.category === category)
+    .map((feature) => {
+      const props = feature.properties;
+      const fields = {
+        name: normalizeSearchText(props.name),
+        keywords: normalizeSearchText([].concat(props.keywords || [], props.tags || []).join(" ")),
+        category: normalizeSearchText(props.category),
+        description: normalizeSearchText(props.description),
+      };
 
-  if (!fromNode || !toNode) return null;
+      let score = 0;
+      for (const token of tokens) {
+        let tokenScore = 0;
+        Object.entries(fields).forEach(([field, words]) => {
+          tokenScore = Math.max(tokenScore, scoreSearchToken(token, words) * SEARCH_FIELD_WEIGHTS[field]);
+        });
+        if (tokenScore === 0) return null; // Every word of the query must match something
+        score += tokenScore;
+      }
+      return { feature, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.feature.properties.name.localeCompare(b.feature.properties.name))
+    .slice(0, SEARCH_MAX_RESULTS)
+    .map((result) => result.feature);
+}
 
-  // BFS to find shortest path
-  const queue = [[fromNode]];
-  const visited = new Set([fromNode]);
+// ===== Search Category Chips =====
+function populateSearchChips() {
+  const categories = [...new Set(getListedFeatures().map((f) => f.properties.category))].sort();
+
+  elements.searchChips.innerHTML = "";
+  [null, ...categories].forEach((category) => {
+    const chip = document.createElement("button");
+    chip.className = "search-chip" + (category === searchCategory ? " active" : "");
+    chip.textContent = category
+      ? `${CATEGORY_ICONS[category] || "📍"} ${categoryLabel(category)}`
+      : "All";
+    chip.addEventListener("click", () => {
+      searchCategory = category;
+      populateSearchChips();
+      updateSearchResults();
+    });
+    elements.searchChips.appendChild(chip);
+  });
+}
 
-  while (queue.length > 0) {
-    const path = queue.shift();
-    const current = path[path.length - 1];
+function categoryLabel(category) {
+  return CATEGORY_LABELS[category] || capitalise(category);
+}
 
-    if (current === toNode) {
-      return path.map((nodeId) => navGraph.nodes[nodeId]);
-    }
+function updateSearchResults() {
+  const query = elements.storeSearch.value.trim();
+  searchResults = query || searchCategory ? searchFeatures(query, searchCategory) : [];
+  searchActiveIndex = searchResults.length > 0 ? 0 : -1;
+  renderSearchResults(query);
+}
 
-    // Find connected nodes
-    for (const edge of navGraph.edges) {
-      let neighbor = null;
-      if (edge[0] === current) neighbor = edge[1];
-      else if (edge[1] === current) neighbor = edge[0];
+function renderSearchResults(query) {
+  elements.searchResults.innerHTML = "";
 
-      if (neighbor && !visited.has(neighbor)) {
-        visited.add(neighbor);
-        queue.push([...path, neighbor]);
-      }
-    }
+  if (query && searchResults.length === 0) {
+    elements.searchResults.innerHTML = '<div class="search-empty">No matching places</div>';
   }
 
-  return null;
+  searchResults.forEach((feature, index) => {
+    const props = feature.properties;
+    const item = document.createElement("div");
+    item.className = "search-result" + (index === searchActiveIndex ? " active" : "");
+    item.innerHTML = `
+      <span class="search-result-icon">${CATEGORY_ICONS[props.category] || "📍"}</span>
+      <span class="search-result-name"></span>
+      <span class="search-result-floor">${describeFeatureFloor(props)}</span>
+    `;
+    item.querySelector(".search-result-name").textContent = props.name;
+    item.addEventListener("mouseenter", () => {
+      searchActiveIndex = index;
+      elements.searchResults.querySelectorAll(".search-result").forEach((el, i) =>
+        el.classList.toggle("active", i === index)
+      );
+    });
+    item.addEventListener("click", () => selectSearchResult(feature));
+    elements.searchResults.appendChild(item);
+  });
+
+  elements.searchResults.classList.toggle("show", elements.searchResults.children.length > 0);
 }
 
-// ===== Find Node by Location Name =====
-function findNodeByName(name) {
-  const nameLower = name.toLowerCase().replace(/[^a-z0-9]/g, "");
-  
-  for (const [nodeId, node] of Object.entries(navGraph.nodes)) {
-    // Existing check
-    const nodeIdClean = nodeId.toLowerCase().replace(/[^a-z0-9]/g, "");
-    if (nodeIdClean.includes(nameLower) || nameLower.includes(nodeIdClean)) {
-      return nodeId;
-    }
+// "Floor 1", or "Target Building · Floor G" when the venue has several buildings
+function describeFeatureFloor(props) {
+  const floor = props.level === -1 ? "" : `Floor ${floorLabel(props.level, props.building)}`;
+  if (venue.buildings.length < 2) return floor;
+  return [buildingName(props.building), floor].filter(Boolean).join(" · ");
+}
+
+function selectSearchResult(feature) {
+  if (searchHighlightId !== null) highlightFeature(searchHighlightId, false);
+  searchHighlightId = feature.id;
+
+  highlightFeature(feature.id, true);
+  showFeature(feature);
+
+  elements.storeSearch.value = feature.properties.name;
+  searchResults = [];
+  renderSearchResults("");
+}
+
+// Switches to the feature's building and floor and opens its room info
+function showFeature(feature) {
+  if (feature.properties.building !== currentBuilding) setBuilding(feature.properties.building, false);
+  if (feature.properties.level !== -1) setFloor(feature.properties.level);
+  showRoomInfo(feature);
+}
+
+function handleSearchKeydown(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    if (searchResults.length === 0) return;
+    e.preventDefault();
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    searchActiveIndex = (searchActiveIndex + step + searchResults.length) % searchResults.length;
+    renderSearchResults(elements.storeSearch.value.trim());
+  } else if (e.key === "Enter" && searchActiveIndex >= 0) {
+    selectSearchResult(searchResults[searchActiveIndex]);
+  } else if (e.key === "Escape") {
+    elements.storeSearch.value = "";
+    updateSearchResults();
+    elements.storeSearch.blur();
+  }
+}
+
+// ===== Populate Navigation Dropdowns =====
+function populateNavigationOptions() {
+  const locations = getNavigableFeatures()
+    .map((f) => ({
+      name: f.properties.name,
+      level: f.properties.level !== undefined ? f.properties.level : 0,
+      building: f.properties.building,
+      category: f.properties.category,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  elements.navFrom.innerHTML = '<option value="">Select starting point...</option>';
+  elements.navTo.innerHTML = '<option value="">Select destination...</option>';
+
+  // One group per floor of each building, structure (level -1) first
+  const groups = venue.buildings.flatMap((building) =>
+    [-1, ...building.floors.map((floor) => floor.id)].map((level) => ({ building: building.id, level }))
+  );
+
+  groups.forEach(({ building, level }) => {
+    const floorLocations = locations.filter((l) => l.building === building && l.level === level);
+    if (floorLocations.length > 0) {
+      const optGroup = document.createElement("optgroup");
+      optGroup.label = venue.buildings.length > 1
+        ? `${buildingName(building)} · ${floorName(level, building)}`
+        : floorName(level, building);
+
+      floorLocations.forEach((loc) => {
+        const option = document.createElement("option");
+        option.value = loc.name;
+        option.textContent = `${CATEGORY_ICONS[loc.category] || "📍"} ${loc.name}`;
+        optGroup.appendChild(option);
+      });
 
-    // Check explicit node name property if it exists
-    if (node.name) {
-       const nodeNameClean = node.name.toLowerCase().replace(/[^a-z0-9]/g, "");
-       if (nodeNameClean === nameLower) {
-         return nodeId;
-       }
+      elements.navFrom.appendChild(optGroup.cloneNode(true));
+      elements.navTo.appendChild(optGroup);
     }
+  });
+}
+
+// ===== Store Directory =====
+// The places found by search, listed by floor, then by
+// category (with a count) and name. Hovering an entry lights it up on the map.
+function renderDirectory() {
+  const features = getListedFeatures();
+  elements.directoryList.innerHTML = "";
+
+  venue.buildings.forEach((building) => {
+    [-1, ...building.floors.map((floor) => floor.id)].forEach((level) => {
+      const floorFeatures = features.filter((f) => f.properties.building === building.id && f.properties.level === level);
+      if (floorFeatures.length === 0) return;
+
+      const section = document.createElement("section");
+      section.className = "directory-floor";
+      const heading = document.createElement("h4");
+      heading.textContent = venue.buildings.length > 1
+        ? `${buildingName(building.id)} · ${floorName(level, building.id)}`
+        : floorName(level, building.id);
+      section.appendChild(heading);
+
+      const categories = [...new Set(floorFeatures.map((f) => f.properties.category))]
+        .sort((a, b) => categoryLabel(a).localeCompare(categoryLabel(b)));
+      categories.forEach((category) => {
+        const entries = floorFeatures
+          .filter((f) => f.properties.category === category)
+          .sort((a, b) => a.properties.name.localeCompare(b.properties.name));
+
+        const title = document.createElement("div");
+        title.className = "directory-category";
+        title.textContent = `${CATEGORY_ICONS[category] || "📍"} ${categoryLabel(category)} (${entries.length})`;
+        section.appendChild(title);
+        entries.forEach((feature) => section.appendChild(createDirectoryEntry(feature)));
+      });
+
+      elements.directoryList.appendChild(section);
+    });
+  });
+}
+
+function createDirectoryEntry(feature) {
+  const entry = document.createElement("button");
+  entry.className = "directory-entry";
+  entry.textContent = feature.properties.name;
+  entry.addEventListener("mouseenter", () => setHoveredFeature(feature.id));
+  entry.addEventListener("mouseleave", () => setHoveredFeature(null));
+  entry.addEventListener("click", () => showFeature(feature));
+  return entry;
+}
+
+// ===== Navigation Graph Edges =====
+// Edges in navGraph may be written as ["a", "b"], ["a", "b", { type, cost, weight }]
+// or { from: "a", to: "b", type, cost, weight }. `type` is one of EDGE_TYPES and
+// defaults to "walk", or "elevator" when the edge joins two floors. `cost`
+// replaces the computed travel time (seconds) and `weight` multiplies it,
+// e.g. 2 for a crowded corridor.
+let navAdjacency = null;
+
+function normalizeNavEdge(edge) {
+  const normalized = Array.isArray(edge)
+    ? { from: edge[0], to: edge[1], ...(edge[2] || {}) }
+    : { ...edge };
+
+  if (!normalized.type && navGraph.nodes[normalized.from] && navGraph.nodes[normalized.to]) {
+    const sameFloor = navGraph.nodes[normalized.from].floor === navGraph.nodes[normalized.to].floor;
+    normalized.type = sameFloor ? "walk" : "elevator";
+  }
+  return normalized;
+}
+
+// Travel time (seconds) and walked distance (metres) for one edge
+function getEdgeCost(edge) {
+  const a = navGraph.nodes[edge.from];
+  const b = navGraph.nodes[edge.to];
+  const edgeType = EDGE_TYPES[edge.type] || EDGE_TYPES.walk;
+  const distance = calculateDistance(a.coords, b.coords) * 1000;
+  const floorsTravelled = a.building === b.building ? floorsBetween(a.floor || 0, b.floor || 0, a.building) : 0;
+
+  let cost = distance / (CONFIG.walkingSpeed * (edgeType.speedFactor || 1)) +
+    floorsTravelled * (edgeType.secondsPerFloor || 0);
+  if (edge.cost != null) cost = Number(edge.cost);
+  if (edge.weight != null) cost *= Number(edge.weight);
+
+  return { cost, distance };
+}
 
-    // New check: strip prefix (g_, f1_, f2_) to match core name
-    // e.g. "g_anandanna" -> "anandanna", matches "Anandanna Shop"
-    const nodeIdWithoutPrefix = nodeId.replace(/^[gf]\d?_/, "").toLowerCase().replace(/[^a-z0-9]/g, "");
-    if (nodeIdWithoutPrefix.length >= 3 && (nameLower.includes(nodeIdWithoutPrefix) || nodeIdWithoutPrefix.includes(nameLower))) {
-       return nodeId;
+function buildNavAdjacency() {
+  navAdjacency = {};
+  Object.keys(navGraph.nodes).forEach((id) => (navAdjacency[id] = []));
+
+  navGraph.edges.forEach((rawEdge) => {
+    const edge = normalizeNavEdge(rawEdge);
+    if (!navGraph.nodes[edge.from] || !navGraph.nodes[edge.to]) {
+      console.warn("Skipping navGraph edge with unknown node:", rawEdge);
+      return;
+    }
+    if (!EDGE_TYPES[edge.type]) {
+      console.warn(`Unknown navGraph edge type "${edge.type}", treating as walk:`, rawEdge);
     }
+    const { cost, distance } = getEdgeCost(edge);
+    navAdjacency[edge.from].push({ node: edge.to, type: edge.type, cost, distance });
+    navAdjacency[edge.to].push({ node: edge.from, type: edge.type, cost, distance });
+  });
+}
+
+// ===== Find Path Using Navigation Graph =====
+// Dijkstra over edge travel times, skipping edge types the route profile
+// avoids. Returns the path nodes (with their ids), the type of edge used to
+// reach each node (`via`), plus the total walked distance and duration.
+function findPath(fromName, toName, profileName = "fastest") {
+  if (!navGraph) return null;
+  if (!navAdjacency) buildNavAdjacency();
+
+  // Find node IDs for the locations
+  const fromNode = findNodeByName(fromName);
+  const toNode = findNodeByName(toName);
+
+  if (!fromNode || !toNode) return null;
+
+  const profile = ROUTE_PROFILES[profileName] || ROUTE_PROFILES.fastest;
+  const costs = { [fromNode]: 0 };
+  const distances = { [fromNode]: 0 };
+  const previous = {};
+  const arrivedVia = {};
+  const visited = new Set();
+  const frontier = new Set([fromNode]);
+
+  while (frontier.size > 0) {
+    // Graph is small, so a linear scan beats maintaining a heap
+    let current = null;
+    frontier.forEach((id) => {
+      if (current === null || costs[id] < costs[current]) current = id;
+    });
+    frontier.delete(current);
+    visited.add(current);
+
+    if (current === toNode) break;
+
+    navAdjacency[current].forEach(({ node, type, cost, distance }) => {
+      if (visited.has(node) || profile.avoid.includes(type)) return;
+      const candidate = costs[current] + cost;
+      if (costs[node] === undefined || candidate < costs[node]) {
+        costs[node] = candidate;
+        distances[node] = distances[current] + distance;
+        previous[node] = current;
+        arrivedVia[node] = type;
+        frontier.add(node);
+      }
+    });
   }
-  
-  // Fallback: find by matching feature properties
+
+  if (costs[toNode] === undefined) return null;
+
+  const ids = [toNode];
+  while (ids[0] !== fromNode) ids.unshift(previous[ids[0]]);
+
+  return {
+    nodes: ids.map((id) => ({ ...navGraph.nodes[id], id, via: arrivedVia[id] || null })),
+    distance: distances[toNode],
+    duration: costs[toNode],
+  };
+}
+
+// ===== Find Node by Location Name =====
+// Each feature declares its graph node in `nav_node` (see link_nav_nodes.js).
+// Features without a valid link fall back to the nearest node on their floor
+// of the same building.
+function findNodeByName(name) {
   const feature = floorplanData.features.find((f) => f.properties.name === name);
-  if (feature) {
-    const level = feature.properties.level;
-    // Return the nearest corridor node on that floor
-    if (level === 0) return "g_walkway_center";
-    if (level === 1) return "f1_walkway_center";
-    if (level === 2) return "f2_walkway_center";
-    if (level === -1) return "g_secret_bunker"; // Target Sector Default Node
+  if (!feature) return null;
+
+  const linked = feature.properties.nav_node;
+  if (linked && navGraph.nodes[linked]) return linked;
+  if (linked) console.warn(`"${name}" links to unknown nav_node "${linked}"`);
+
+  const { level, building } = feature.properties;
+  const center = getFeatureCenter(feature);
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const [nodeId, node] of Object.entries(navGraph.nodes)) {
+    // Structure features (level -1) span every floor of their building
+    if (node.building !== building || (level !== -1 && node.floor !== level)) continue;
+    const distance = calculateDistance(center, node.coords);
+    if (distance < nearestDistance) {
+      nearest = nodeId;
+      nearestDistance = distance;
+    }
   }
-  
-  return null;
+
+  if (nearest) console.warn(`"${name}" has no nav_node, routing from nearest node "${nearest}"`);
+  return nearest;
+}
+
+// ===== Multi-Stop Route Planning =====
+// Destinations in visiting order: the main destination followed by any extra stops
+function getNavigationDestinations() {
+  const stops = Array.from(elements.navStops.querySelectorAll(".nav-stop")).map((select) => select.value);
+  return [elements.navTo.value, ...stops].filter(Boolean);
+}
+
+function addNavigationStop(value = "") {
+  const row = document.createElement("div");
+  row.className = "nav-stop-row";
+
+  const select = elements.navTo.cloneNode(true);
+  select.removeAttribute("id");
+  select.classList.add("nav-stop");
+  select.firstElementChild.textContent = "Select next stop...";
+  select.value = value;
+
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "remove-stop-btn";
+  removeBtn.title = "Remove stop";
+  removeBtn.textContent = "×";
+  removeBtn.addEventListener("click", () => row.remove());
+
+  row.appendChild(select);
+  row.appendChild(removeBtn);
+  elements.navStops.appendChild(row);
+  return select;
+}
+
+// Write the (possibly reordered) destinations back into the panel
+function setNavigationDestinations(destinations) {
+  elements.navTo.value = destinations[0] || "";
+  elements.navStops.innerHTML = "";
+  destinations.slice(1).forEach((name) => addNavigationStop(name));
+}
+
+// Cheapest visiting order for the destinations, starting from `from`. Exact
+// over all permutations for a typical shopping list, nearest-neighbour beyond.
+function optimiseStopOrder(from, destinations, profileName) {
+  const places = [from, ...destinations];
+  const durations = places.map((a) =>
+    places.map((b) => {
+      if (a === b) return 0;
+      const leg = findPath(a, b, profileName);
+      return leg ? leg.duration : Infinity;
+    })
+  );
+
+  const indices = destinations.map((_, i) => i + 1);
+  const orderCost = (order) =>
+    order.reduce((sum, index, i) => sum + durations[i === 0 ? 0 : order[i - 1]][index], 0);
+
+  let best = indices;
+  if (indices.length <= 7) {
+    const permute = (remaining, order) => {
+      if (remaining.length === 0) {
+        if (orderCost(order) < orderCost(best)) best = order;
+        return;
+      }
+      remaining.forEach((index) =>
+        permute(remaining.filter((i) => i !== index), [...order, index])
+      );
+    };
+    permute(indices, []);
+  } else {
+    best = [];
+    let current = 0;
+    const remaining = new Set(indices);
+    while (remaining.size > 0) {
+      let next = null;
+      remaining.forEach((index) => {
+        if (next === null || durations[current][index] < durations[current][next]) next = index;
+      });
+      best.push(next);
+      remaining.delete(next);
+      current = next;
+    }
+  }
+
+  return best.map((index) => places[index]);
+}
+
+// Chain per-leg routes into one continuous route
+function joinRouteLegs(legs) {
+  const nodes = [];
+  const stopIndices = [];
+
+  legs.forEach((leg, i) => {
+    // Each leg starts where the previous one ended
+    nodes.push(...(i === 0 ? leg.nodes : leg.nodes.slice(1)));
+    stopIndices.push(nodes.length - 1);
+  });
+
+  return {
+    nodes,
+    stopIndices,
+    distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+    duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+  };
+}
+
+// ===== Turn-by-Turn Instructions =====
+const TURN_LANDMARK_RADIUS = 8; // metres from the turn/segment to name a landmark
+
+function capitalise(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Compass bearing in degrees (0 = north, clockwise)
+function calculateBearing(coord1, coord2) {
+  const dLng = (coord2[0] - coord1[0]) * Math.cos(deg2rad(coord1[1]));
+  const dLat = coord2[1] - coord1[1];
+  return (Math.atan2(dLng, dLat) * 180 / Math.PI + 360) % 360;
+}
+
+function describeHeading(bearing) {
+  const names = ["north", "north-east", "east", "south-east", "south", "south-west", "west", "north-west"];
+  return names[Math.round(bearing / 45) % 8];
+}
+
+// Signed change of heading in (-180, 180]; positive turns right
+function describeTurn(fromBearing, toBearing) {
+  const delta = ((toBearing - fromBearing + 540) % 360) - 180;
+  const side = delta > 0 ? "right" : "left";
+  const size = Math.abs(delta);
+  if (size < 30) return null;
+  if (size < 60) return `bear ${side}`;
+  if (size < 135) return `turn ${side}`;
+  if (size < 170) return `turn sharp ${side}`;
+  return "turn around";
+}
+
+// Named features a visitor would recognise, with their centres
+function getRouteLandmarks() {
+  return floorplanData.features
+    .filter((f) => {
+      const props = f.properties;
+      return props.name && props.name !== "wall_extrude" && !props.isOutline &&
+        !["corridor", "building", "wall", "outline"].includes(props.category);
+    })
+    .map((f) => ({
+      name: f.properties.name,
+      level: f.properties.level,
+      building: f.properties.building,
+      center: getFeatureCenter(f),
+    }));
+}
+
+function findLandmark(landmarks, coords, floor, building, exclude) {
+  let best = null;
+  let bestDistance = TURN_LANDMARK_RADIUS;
+  landmarks.forEach((landmark) => {
+    if (landmark.level !== floor || landmark.building !== building || exclude.includes(landmark.name)) return;
+    const distance = calculateDistance(coords, landmark.center) * 1000;
+    if (distance < bestDistance) {
+      best = landmark.name;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// Split a leg into same-floor walking runs, floor changes and outdoor walks
+// between buildings. Zero-length hops (e.g. between stacked elevator nodes) are
+// dropped so they don't distort turns.
+function splitLegIntoRuns(nodes) {
+  const runs = [];
+  let current = null;
+
+  nodes.forEach((node, index) => {
+    const previous = nodes[index - 1];
+    const goesOutdoors = previous && node.via === "outdoor";
+    const changesFloor = previous && !goesOutdoors && node.floor !== -1 && previous.floor !== -1 && node.floor !== previous.floor;
+
+    if (goesOutdoors) {
+      // Waypoints along the way belong to the same outdoor walk
+      if (current && current.points.length === 1) runs.pop();
+      const last = runs[runs.length - 1];
+      const distance = calculateDistance(previous.coords, node.coords) * 1000;
+      if (last && last.type === "outdoor") {
+        last.to = node.building;
+        last.distance += distance;
+      } else {
+        runs.push({ type: "outdoor", from: previous.building, to: node.building, coords: previous.coords, floor: previous.floor, distance });
+      }
+      current = null;
+    } else if (changesFloor) {
+      // A landing we only passed through (riding on to another floor) is no walk
+      if (current && current.points.length === 1) runs.pop();
+      const last = runs[runs.length - 1];
+      if (last && last.type === "vertical" && last.via === node.via &&
+          Math.sign(node.floor - previous.floor) === Math.sign(last.to - last.from)) {
+        last.to = node.floor;
+      } else {
+        runs.push({ type: "vertical", via: node.via, from: previous.floor, to: node.floor, building: node.building, coords: previous.coords });
+      }
+      current = null;
+    }
+
+    if (!current) {
+      current = { type: "walk", floor: node.floor, building: node.building, points: [node.coords] };
+      runs.push(current);
+      return;
+    }
+    if (calculateDistance(current.points[current.points.length - 1], node.coords) * 1000 >= 0.3) {
+      current.points.push(node.coords);
+    }
+  });
+
+  return runs.filter((run) => run.type !== "walk" || run.points.length > 1);
+}
+
+// Build the step list for a (multi-leg) route. Each step carries the distance
+// walked in it and the place/floor to show when it is clicked.
+function buildRouteInstructions(from, fromFeature, destinations, stopFeatures, legs) {
+  const landmarks = getRouteLandmarks();
+  const fromLevel = fromFeature.properties.level;
+  const firstCoords = legs[0].nodes[0].coords;
+  const instructions = [];
+  const pushStep = (step) => instructions.push({ step: instructions.length + 1, ...step });
+
+  pushStep({
+    text: `Start at ${from} (Floor ${floorLabel(fromLevel, fromFeature.properties.building)})`,
+    icon: CATEGORY_ICONS[fromFeature.properties.category] || "📍",
+    coords: firstCoords,
+    floor: legs[0].nodes[0].floor,
+    building: legs[0].nodes[0].building,
+  });
+
+  let heading = null;
+  let exitingConnector = null;
+
+  legs.forEach((leg, legIndex) => {
+    const stop = destinations[legIndex];
+    const exclude = [legIndex === 0 ? from : destinations[legIndex - 1], stop];
+    // Leaving a store, the visitor picks a fresh heading
+    heading = null;
+
+    splitLegIntoRuns(leg.nodes).forEach((run) => {
+      if (run.type === "vertical") {
+        const connector = EDGE_TYPES[run.via] || EDGE_TYPES.elevator;
+        pushStep({
+          text: `Take ${connector.label} ${run.to > run.from ? "up" : "down"} to Floor ${floorLabel(run.to, run.building)}`,
+          icon: connector.icon,
+          coords: run.coords,
+          floor: run.from,
+          building: run.building,
+        });
+        exitingConnector = connector;
+        return;
+      }
+
+      if (run.type === "outdoor") {
+        pushStep({
+          text: `Leave ${buildingName(run.from)} and walk ${Math.round(run.distance)} m outside to ${buildingName(run.to)}`,
+          icon: EDGE_TYPES.outdoor.icon,
+          distance: run.distance,
+          coords: run.coords,
+          floor: run.floor,
+          building: run.from,
+        });
+        heading = null;
+        exitingConnector = null;
+        return;
+      }
+
+      // Break the run at every real turn
+      for (let i = 0; i < run.points.length - 1; i++) {
+        const start = run.points[i];
+        const bearing = calculateBearing(start, run.points[i + 1]);
+        const turn = heading === null ? null : describeTurn(heading, bearing);
+
+        let maneuver = null;
+        let turnLandmark = null;
+        if (exitingConnector) {
+          maneuver = `Exit ${exitingConnector.label.toLowerCase()} and ${turn || "go straight"}`;
+        } else if (heading === null) {
+          maneuver = `Head ${describeHeading(bearing)}`;
+        } else if (turn) {
+          turnLandmark = findLandmark(landmarks, start, run.floor, run.building, exclude);
+          maneuver = capitalise(turn) + (turnLandmark ? ` after ${turnLandmark}` : "");
+        }
+
+        // Straight continuations extend the previous step
+        let end = i + 1;
+        while (end < run.points.length - 1 &&
+               !describeTurn(calculateBearing(run.points[end - 1], run.points[end]),
+                             calculateBearing(run.points[end], run.points[end + 1]))) {
+          end++;
+        }
+
+        let distance = 0;
+        for (let j = i; j < end; j++) distance += calculateDistance(run.points[j], run.points[j + 1]) * 1000;
+        const middle = run.points[Math.floor((i + end) / 2)];
+        const passed = findLandmark(landmarks, middle, run.floor, run.building, [...exclude, turnLandmark]);
+
+        const walkText = `continue ${Math.round(distance)} m${passed ? ` past ${passed}` : ""}`;
+        pushStep({
+          text: maneuver ? `${maneuver}, then ${walkText}` : capitalise(walkText),
+          icon: turn && turn.includes("left") ? "↰" : turn && turn.includes("right") ? "↱" : "⬆️",
+          distance,
+          coords: start,
+          floor: run.floor,
+          building: run.building,
+        });
+
+        heading = calculateBearing(run.points[end - 1], run.points[end]);
+        exitingConnector = null;
+        i = end - 1;
+      }
+    });
+
+    const isLast = legIndex === legs.length - 1;
+    const lastNode = leg.nodes[leg.nodes.length - 1];
+    pushStep({
+      text: legs.length > 1
+        ? `${isLast ? "Arrive at" : "Visit"} stop ${legIndex + 1}: ${stop}`
+        : `Arrive at ${stop}`,
+      icon: CATEGORY_ICONS[stopFeatures[legIndex].properties.category] || "🎯",
+      coords: lastNode.coords,
+      floor: lastNode.floor,
+      building: lastNode.building,
+    });
+  });
+
+  return instructions;
 }
 
 // ===== Calculate Navigation =====
 function calculateNavigation() {
   const from = elements.navFrom.value;
-  const to = elements.navTo.value;
+  let destinations = getNavigationDestinations();
 
-  if (!from || !to) {
+  if (!from || destinations.length === 0) {
     alert("Please select both start and destination");
     return;
   }
 
-  if (from === to) {
+  if (destinations.includes(from)) {
     alert("Start and destination cannot be the same");
     return;
   }
 
-  const fromFeature = floorplanData.features.find((f) => f.properties.name === from);
-  const toFeature = floorplanData.features.find((f) => f.properties.name === to);
-
-  if (!fromFeature || !toFeature) {
-    alert("Could not find selected locations");
+  if (new Set(destinations).size !== destinations.length) {
+    alert("Each stop can only be visited once");
     return;
   }
 
-  const fromLevel = fromFeature.properties.level;
-  const toLevel = toFeature.properties.level;
-
-  // Perform Pathfinding
-  const pathNodes = findPath(from, to);
+  const findFeature = (name) => floorplanData.features.find((f) => f.properties.name === name);
+  const fromFeature = findFeature(from);
+  const profileName = elements.navProfile.value;
 
-  if (!pathNodes) {
-    alert("Could not find a path between these locations.");
+  if (!fromFeature || destinations.some((name) => !findFeature(name))) {
+    alert("Could not find selected locations");
     return;
   }
 
-  // Convert nodes to coordinates
-  const pathCoords = pathNodes.map(node => node.coords);
-
-  // Generate navigation instructions
-  let instructions = [];
-
-  instructions.push({
-    step: 1,
-    text: `Start at ${from} (Floor ${fromLevel === 0 ? "G" : fromLevel})`,
-    icon: CATEGORY_ICONS[fromFeature.properties.category] || "📍",
-  });
+  if (elements.navOptimise.checked && destinations.length > 1) {
+    destinations = optimiseStopOrder(from, destinations, profileName);
+    setNavigationDestinations(destinations);
+  }
 
-  // Check for floor changes in the path
-  let currentPathLevel = fromLevel;
-  pathNodes.forEach((node, index) => {
-    if (node.floor !== -1 && node.floor !== currentPathLevel) {
-       // We changed floors (via elevator probably)
-       // Determine direction
-       const direction = node.floor > currentPathLevel ? "up" : "down";
-       instructions.push({
-         step: instructions.length + 1,
-         text: `Take Elevator ${direction} to Floor ${node.floor === 0 ? "G" : node.floor}`,
-         icon: "🛗",
-       });
-       currentPathLevel = node.floor;
+  // Perform Pathfinding, one leg per stop
+  const legs = [];
+  let legStart = from;
+  for (const stop of destinations) {
+    const leg = findPath(legStart, stop, profileName);
+    if (!leg) {
+      if (profileName !== "fastest" && findPath(legStart, stop)) {
+        alert(`No ${ROUTE_PROFILES[profileName].label.toLowerCase()} route exists between ${legStart} and ${stop}.`);
+      } else {
+        alert(`Could not find a path between ${legStart} and ${stop}.`);
+      }
+      return;
     }
-  });
+    legs.push(leg);
+    legStart = stop;
+  }
 
-  instructions.push({
-    step: instructions.length + 1,
-    text: `Arrive at ${to}`,
-    icon: CATEGORY_ICONS[toFeature.properties.category] || "🎯",
-  });
+  const route = joinRouteLegs(legs);
+  const pathNodes = route.nodes;
+  const stopFeatures = destinations.map(findFeature);
+  const fromLevel = fromFeature.properties.level;
 
-  // Calculate estimated time
-  // Calculate estimated time
-  const distance = calculateTotalDistance(pathCoords);
-  const walkingSpeed = 1.4; // m/s
-  const floorChangePenalty = Math.abs(toLevel - fromLevel) * 45;
-  const walkingTime = Math.ceil((distance / walkingSpeed) + floorChangePenalty);
+  // Convert nodes to coordinates
+  const pathCoords = pathNodes.map(node => node.coords);
 
+  // Generate turn-by-turn navigation instructions
+  const instructions = buildRouteInstructions(from, fromFeature, destinations, stopFeatures, legs);
+
+  // Estimated time and distance come from the same edge costs the router used
   instructions.push({
     step: "time",
-    text: `~${Math.ceil(walkingTime / 60)} min (${Math.round(distance)}m)`,
+    text: `~${Math.ceil(route.duration / 60)} min (${Math.round(route.distance)}m)`,
     icon: "⏱️",
   });
 
   displayNavigationResult(instructions);
-  drawAnimatedPath(pathCoords, pathNodes);
+  drawAnimatedPath(pathCoords, pathNodes, route.stopIndices);
   
   // Show path on appropriate floors
-  // Strategy: ALWAYS show the FROM floor layout, plus the TO Room
-  
-  const fromId = fromFeature.id;
-  const toId = toFeature.id;
-  
-  // We want to see the layout of the start floor.
-  // And we want to see the destination room regardless of floor.
-  // AND the start room (which is on start floor anyway).
+  // Strategy: ALWAYS show the FROM floor layout, plus every stop's room
+  const specialIds = [fromFeature.id, ...stopFeatures.map((f) => f.id)];
   
   // Ensure elevator is hidden during navigation
-  updateFloorFilter([fromLevel], [toId, fromId], true);
+  if (fromFeature.properties.building !== currentBuilding) setBuilding(fromFeature.properties.building, false);
+  if (fromLevel !== -1) markActiveFloor(fromLevel);
+  updateFloorFilter([fromLevel], specialIds, true);
 
-  // Highlight Start and End Rooms
-  highlightFeature(fromFeature.id, true);
-  highlightFeature(toFeature.id, true);
-  
-  // Manually ensure the destination label is visible
-  // We need to look up marker for toId.
-  // Since we don't have direct ID map, matching by centroid or loop
-  // Simple fix: Force show all markers on involved floors or just dest
-  // For now, let's update storeMarkers to allow finding by ID if we add it or just loop
-}
+  // Highlight Start and Stop Rooms
+  specialIds.forEach((id) => highlightFeature(id, true));
 
-// ===== Calculate Total Distance =====
-function calculateTotalDistance(coords) {
-  let total = 0;
-  for (let i = 1; i < coords.length; i++) {
-    total += calculateDistance(coords[i - 1], coords[i]) * 1000; // Convert km to m
-  }
-  return total;
+  activeRoute = { from, destinations, profile: profileName };
+  syncUrlState();
 }
 
 // ===== Calculate Distance (Haversine) =====
 function calculateDistance(coord1, coord2) {
-  const R = 6371; // Radius of the earth in km
-  const dLat = deg2rad(coord2[1] - coord1[1]);
-  const dLon = deg2rad(coord2[0] - coord1[0]);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(deg2rad(coord1[1])) *
-      Math.cos(deg2rad(coord2[1])) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in km
+  return Geometry.distanceMeters(coord1, coord2) / 1000; // Distance in km
 }
 
 function deg2rad(deg) {
@@ -816,46 +1750,77 @@ function deg2rad(deg) {
 }
 
 // ===== Highlight Feature =====
+let highlightedFeatureIds = new Set();
+
 function highlightFeature(id, isActive) {
     if (id === undefined || id === null) return;
     map.setFeatureState(
         { source: "floorplan", id: id },
         { highlight: isActive }
     );
+    if (isActive) highlightedFeatureIds.add(id);
+    else highlightedFeatureIds.delete(id);
+}
+
+function clearHighlights() {
+    highlightedFeatureIds.forEach((id) => highlightFeature(id, false));
 }
 
 // ===== Display Navigation Result =====
+// Steps with a location are clickable and fly the camera to where they start
 function displayNavigationResult(instructions) {
   elements.navResult.innerHTML = instructions
     .map(
-      (inst) => `
-        <div class="route-step">
+      (inst, index) => `
+        <div class="route-step${inst.coords ? " clickable" : ""}" data-index="${index}">
             <span class="step-icon">${inst.icon}</span>
-            <span>${inst.text}</span>
+            <span class="step-text">${inst.text}</span>
+            ${inst.distance ? `<span class="step-distance">${Math.round(inst.distance)} m</span>` : ""}
         </div>
     `
     )
     .join("");
 
+  elements.navResult.querySelectorAll(".route-step.clickable").forEach((el) => {
+    el.addEventListener("click", () => focusRouteStep(instructions[Number(el.dataset.index)]));
+  });
+
   elements.navResult.classList.add("show");
 }
 
+// ===== Focus Route Step =====
+function focusRouteStep(inst) {
+  elements.navResult.querySelectorAll(".route-step").forEach((el) => el.classList.remove("active"));
+  const index = Number(inst.step) - 1;
+  const el = elements.navResult.querySelector(`.route-step[data-index="${index}"]`);
+  if (el) el.classList.add("active");
+
+  if (inst.building && inst.building !== currentBuilding) setBuilding(inst.building, false);
+  if (inst.floor !== undefined && inst.floor !== -1) setFloor(inst.floor);
+  map.flyTo({
+    center: inst.coords,
+    zoom: 21,
+    pitch: 60,
+    duration: 800,
+  });
+}
+
 // ===== Draw Animated Navigation Path =====
 // (Removed duplicate drawAnimatedPath)
   
 // ===== Add Navigation Markers =====
 let navigationMarkers = [];
 
-function addNavigationMarkers(coordinates, pathNodes) {
+function addNavigationMarkers(coordinates, pathNodes, stopIndices = []) {
   const startNode = pathNodes[0];
   const endNode = pathNodes[pathNodes.length - 1];
 
-  // Identify elevator points (where floor changes)
+  // Identify connector points (where floor changes)
   const elevatorNodes = [];
   for(let i=1; i<pathNodes.length; i++) {
       if (pathNodes[i].floor !== pathNodes[i-1].floor) {
           // Add the node before the change (or after, just one per transition)
-          elevatorNodes.push(pathNodes[i-1]); 
+          elevatorNodes.push({ ...pathNodes[i-1], via: pathNodes[i].via }); 
       }
   }
 
@@ -864,8 +1829,14 @@ function addNavigationMarkers(coordinates, pathNodes) {
     { type: "end", node: endNode, color: "#EF4444", label: "End" }
   ];
 
+  // Numbered markers for intermediate stops on a multi-stop route
+  stopIndices.slice(0, -1).forEach((nodeIndex, i) => {
+      markersToCreate.push({ type: "stop", node: pathNodes[nodeIndex], color: "#3B82F6", label: String(i + 1) });
+  });
+
   elevatorNodes.forEach(node => {
-      markersToCreate.push({ type: "elevator", node: node, color: "#F59E0B", label: "Elevator" });
+      const connector = EDGE_TYPES[node.via] || EDGE_TYPES.elevator;
+      markersToCreate.push({ type: "elevator", node: node, color: "#F59E0B", label: connector.label });
   });
 
   markersToCreate.forEach(m => {
@@ -884,12 +1855,17 @@ function addNavigationMarkers(coordinates, pathNodes) {
         z-index: 5;
       `;
       
-      const inner = document.createElement('div');
-      inner.style.cssText = "width: 6px; height: 6px; background: white; border-radius: 50%;";
-      el.appendChild(inner);
+      if (m.type === "stop") {
+          el.classList.add('nav-marker-stop');
+          el.textContent = m.label;
+      } else {
+          const inner = document.createElement('div');
+          inner.style.cssText = "width: 6px; height: 6px; background: white; border-radius: 50%;";
+          el.appendChild(inner);
+      }
 
       const level = m.node.floor === -1 ? 0 : m.node.floor; 
-      const baseHeight = level * 4; 
+      const baseHeight = floorElevation(level, m.node.building); 
 
       const marker = new maplibregl.Marker({
           element: el,
@@ -902,11 +1878,15 @@ function addNavigationMarkers(coordinates, pathNodes) {
           marker,
           element: el,
           level: level,
+          building: m.node.building,
           height: 0,
           base_height: baseHeight // Store base height
       });
   });
   
+  // Only re-lifted on camera moves while a route's markers are on the map
+  map.off("move", updateLabelPositions);
+  map.on("move", updateLabelPositions);
   updateLabelPositions();
 }
 
@@ -1017,7 +1997,7 @@ function createSquareBuffer(center, sizeMeters) {
 // ===== Draw Animated Navigation Path =====
 let navMarker = null;
 
-function drawAnimatedPath(coordinates, pathNodes) {
+function drawAnimatedPath(coordinates, pathNodes, stopIndices = []) {
   // Stop existing animation
   if (animationId) {
     cancelAnimationFrame(animationId);
@@ -1039,9 +2019,22 @@ function drawAnimatedPath(coordinates, pathNodes) {
   // Logic is now handled by updateFloorFilter(..., ..., true) below
 
 
-  // 1. Split path into segments per floor & Detect Vertical Transitions
-  const segments = { 0: [], 1: [], 2: [] };
+  // 1. Split path into runs per floor & Detect Vertical Transitions
+  // A multi-stop route can visit a floor more than once, so each floor keeps a
+  // list of separate runs rather than one continuous line. Floors are keyed by
+  // building too, as every building numbers its own floors.
+  const segments = {};
   const verticalTransitions = []; 
+  let lastSegmentKey = null;
+
+  const pushSegmentCoord = (floor, coords, building) => {
+      const key = `${building}:${floor}`;
+      if (!segments[key]) segments[key] = { floor, building, runs: [] };
+      const runs = segments[key].runs;
+      if (key !== lastSegmentKey || runs.length === 0) runs.push([]);
+      runs[runs.length - 1].push(coords);
+      lastSegmentKey = key;
+  };
   
   let lastTrackedFloor = -1;
   let potentialElevatorCoords = null;
@@ -1058,7 +2051,8 @@ function drawAnimatedPath(coordinates, pathNodes) {
                verticalTransitions.push({
                    coords: shaftCoords,
                    from: lastTrackedFloor,
-                   to: floor
+                   to: floor,
+                   building: node.building
                });
                potentialElevatorCoords = null;
           }
@@ -1068,32 +2062,36 @@ function drawAnimatedPath(coordinates, pathNodes) {
       if (floor === undefined || floor === -1) {
           let effectiveFloor = lastTrackedFloor;
           if (effectiveFloor !== -1) {
-              if (!segments[effectiveFloor]) segments[effectiveFloor] = [];
-              segments[effectiveFloor].push(node.coords);
+              pushSegmentCoord(effectiveFloor, node.coords, node.building);
           }
       } else {
-          if (!segments[floor]) segments[floor] = [];
-          segments[floor].push(node.coords);
+          pushSegmentCoord(floor, node.coords, node.building);
       }
   });
 
   // 2. Create Horizontal Layers (Per Floor)
-  Object.keys(segments).forEach(floorStr => {
-      const floor = parseInt(floorStr);
-      const coords = segments[floor];
-      if (coords.length < 2) return;
-      
-      // Use existing createPathBuffer helper
-      const polyFeature = createPathBuffer(coords, 0.8); 
-      if (!polyFeature) return;
+  Object.values(segments).forEach(({ floor, building, runs }) => {
+      // Use existing createPathBuffer helper, merging every run on this floor
+      const buffers = runs
+          .map(coords => createPathBuffer(coords, 0.8))
+          .filter(Boolean);
+      if (buffers.length === 0) return;
+
+      const polyFeature = {
+          type: "Feature",
+          geometry: {
+              type: "MultiPolygon",
+              coordinates: buffers.flatMap(buffer => buffer.geometry.coordinates)
+          }
+      };
 
-      const layerId = `nav-route-${floor}`;
+      const layerId = `nav-route-${building}-${floor}`;
       map.addSource(layerId, {
           type: "geojson",
           data: polyFeature
       });
       
-      const baseHeight = floor * 4;
+      const baseHeight = floorElevation(floor, building);
       
       // 3D Floating Path (3m offset for high visibility)
       map.addLayer({
@@ -1118,8 +2116,8 @@ function drawAnimatedPath(coordinates, pathNodes) {
           const maxF = Math.max(trans.from, trans.to);
           
           feature.properties = {
-              base: minF * 4,
-              top: maxF * 4 + 3.0 
+              base: floorElevation(minF, trans.building),
+              top: floorElevation(maxF, trans.building) + 3.0 
           };
           return feature;
       });
@@ -1177,7 +2175,7 @@ function drawAnimatedPath(coordinates, pathNodes) {
       }
   });
 
-  addNavigationMarkers(coordinates, pathNodes);
+  addNavigationMarkers(coordinates, pathNodes, stopIndices);
 
   // Animation Loop with Vertical Distance
   let startTime = null;
@@ -1193,7 +2191,7 @@ function drawAnimatedPath(coordinates, pathNodes) {
       
       if (navPoint) {
            // Calculate Z levels
-           const zFloor = (navPoint.floor * 4) + 3.0; // Feet at path level
+           const zFloor = floorElevation(navPoint.floor, navPoint.building) + 3.0; // Feet at path level
            const zNeck = zFloor + 1.2; // 1.2m tall body
            const zHeadTop = zNeck + 0.4; // 0.4m tall head
            
@@ -1314,7 +2312,7 @@ function calculateTotalDistanceWithElevators(nodes) {
     for(let i=0; i<nodes.length-1; i++) {
         const floorDiff = Math.abs(nodes[i].floor - nodes[i+1].floor);
         if (floorDiff > 0) {
-             dist += floorDiff * 4; // 4 meters
+             dist += Math.abs(floorElevation(nodes[i+1].floor, nodes[i].building) - floorElevation(nodes[i].floor, nodes[i].building));
         } else {
              dist += calculateDistance(nodes[i].coords, nodes[i+1].coords) * 1000; 
         }
@@ -1330,7 +2328,7 @@ function getNavPointAtDistanceWithElevators(nodes, dist) {
         const floorDiff = nodes[i+1].floor - nodes[i].floor; // signed
         
         if (Math.abs(floorDiff) > 0) {
-            segD = Math.abs(floorDiff) * 4; // 4 meters per floor
+            segD = Math.abs(floorElevation(nodes[i+1].floor, nodes[i].building) - floorElevation(nodes[i].floor, nodes[i].building));
         } else {
             segD = calculateDistance(nodes[i].coords, nodes[i+1].coords) * 1000;
         }
@@ -1347,7 +2345,7 @@ function getNavPointAtDistanceWithElevators(nodes, dist) {
             // Floor interpolation
             const floor = nodes[i].floor + floorDiff * r;
             
-            return { coords, floor };
+            return { coords, floor, building: nodes[i].building };
         }
         d += segD;
     }
@@ -1359,18 +2357,14 @@ function updatePathAltitude() {
     const zoom = map.getZoom();
     const pitch = map.getPitch();
     
-    // Heights: G=0, F1=4m, F2=8m
-    const lifts = { 0: 0, 1: 4, 2: 8 };
-    
-    [0, 1, 2].forEach(floor => {
-        const height = lifts[floor];
+    venue.buildings.forEach(({ id: building, floors }) => floors.forEach(({ id: floor, elevation: height }) => {
         // Use unified helper for pixel offset (negative to lift up in 2D map space? No, translate Y negative is UP on screen)
         // Wait, MapLibre line-translate is in pixels. Positive Y is down.
         // User formula provided standard "lift" pixel count (positive).
         // So we need negative offset.
         const offset = -calculatePixelAltitude(height, zoom, pitch);
         
-        const layerId = `nav-route-${floor}`;
+        const layerId = `nav-route-${building}-${floor}`;
         
         if (!isNaN(offset)) {
             if (map.getLayer(`${layerId}-bg`)) {
@@ -1378,7 +2372,7 @@ function updatePathAltitude() {
                 map.setPaintProperty(`${layerId}-line`, 'line-translate', [0, offset]);
             }
         }
-    });
+    }));
 }
 
 // ===== Get Navigation Point at Distance (Interpolation) =====
@@ -1410,23 +2404,34 @@ function updateFloorFilter(floors, specialIds = [], hideElevator = false) {
   const isAll = floors === -1;
 
   // Combine markers for filtering
-  const allMarkers = [...storeMarkers, ...navigationMarkers];
+  const allMarkers = [...floorMarkers, ...navigationMarkers];
 
   if (isAll) {
     map.setFilter("room-extrusion", null);
+    map.setFilter("room-lines", ["all", ROOM_LINE_FILTER, ["!=", ["get", "isOutline"], true]]);
+    map.setFilter("amenity-icons", AMENITY_FILTER);
+    map.setFilter("store-labels", null);
     allMarkers.forEach((item) => {
         item.element.style.display = ''; 
     });
   } else {
     // Show: 
-    // 1. All rooms on activeFloors
+    // 1. All rooms on activeFloors of the current building
     // 2. Elevator (level -1) IF not hidden
     // 3. SPECIAL IDs (Start/Dest rooms) regardless of floor
+    // Other buildings stay visible on their default floor.
     
     // Base visibility: Active Floors or Special IDs
     const visibilityGroup = ["any",
-        ["in", ["get", "level"], ["literal", activeFloors]]
+        ["all",
+            ["==", ["get", "building"], currentBuilding],
+            ["in", ["get", "level"], ["literal", activeFloors]]
+        ]
     ];
+    venue.buildings.forEach(({ id }) => {
+        if (id === currentBuilding) return;
+        visibilityGroup.push(["all", ["==", ["get", "building"], id], ["==", ["get", "level"], getDefaultFloor(id)]]);
+    });
     
     // Always include level -1 (Walls, Building Outline) so the structure is visible
     visibilityGroup.push(["==", ["get", "level"], -1]);
@@ -1458,13 +2463,18 @@ function updateFloorFilter(floors, specialIds = [], hideElevator = false) {
     }
     
     map.setFilter("room-extrusion", finalFilter);
+    map.setFilter("room-lines", ["all", ROOM_LINE_FILTER, finalFilter]);
+    map.setFilter("amenity-icons", ["all", AMENITY_FILTER, finalFilter]);
+    map.setFilter("store-labels", finalFilter);
     
     // Update marker visibility
     allMarkers.forEach((item) => {
         let isVisible = false;
         
-        // Check active floor
-        if (activeFloors.includes(item.level)) isVisible = true;
+        // Check active floor (or the default floor of another building)
+        if (item.building === currentBuilding ? activeFloors.includes(item.level) : item.level === getDefaultFloor(item.building)) {
+            isVisible = true;
+        }
         
         // Check elevator (level -1)
         if (item.level === -1 && !hideElevator) isVisible = true;
@@ -1487,12 +2497,12 @@ function clearNavigationPath() {
   const sourcesToRemove = ["nav-route", "nav-vertical", "nav-avatar-body", "nav-avatar-head"];
 
   // Clean up per-floor segment layers and sources
-  [0, 1, 2].forEach(floor => {
-      layersToRemove.push(`nav-route-${floor}-3d`);
-      layersToRemove.push(`nav-route-${floor}-line-visible`);
-      sourcesToRemove.push(`nav-route-${floor}-line-source`);
-      sourcesToRemove.push(`nav-route-${floor}`);
-  });
+  venue.buildings.forEach(({ id: building, floors }) => floors.forEach(({ id: floor }) => {
+      layersToRemove.push(`nav-route-${building}-${floor}-3d`);
+      layersToRemove.push(`nav-route-${building}-${floor}-line-visible`);
+      sourcesToRemove.push(`nav-route-${building}-${floor}-line-source`);
+      sourcesToRemove.push(`nav-route-${building}-${floor}`);
+  }));
 
   layersToRemove.forEach((layer) => {
     if (map.getLayer(layer)) map.removeLayer(layer);
@@ -1502,11 +2512,14 @@ function clearNavigationPath() {
     if (map.getSource(source)) map.removeSource(source);
   });
   
+  clearHighlights();
+
   // Remove HTML markers
   if (navigationMarkers) {
       navigationMarkers.forEach(m => m.marker.remove());
       navigationMarkers = [];
   }
+  map.off("move", updateLabelPositions);
   
   // Remove avatar
   if (navMarker) {
@@ -1528,83 +2541,1371 @@ function clearNavigationPath() {
 }
 
 // ===== Set Floor =====
-function setFloor(floor) {
+// Records the floor and lights its button without touching the map filter
+function markActiveFloor(floor) {
+  currentFloor = floor;
   elements.floorButtons.forEach((btn) => {
     btn.classList.remove("active");
     if (parseInt(btn.dataset.floor) === floor) {
       btn.classList.add("active");
     }
   });
+}
 
+function setFloor(floor) {
+  markActiveFloor(floor);
+  // The selected graph node stays selected so it can be linked to another floor
+  if (editor.active) {
+    cancelEditorDraft();
+    selectEditorFeature(null);
+  }
   updateFloorFilter(floor);
+  syncUrlState();
 }
 
-// ===== Setup Event Listeners =====
-function setupEventListeners() {
-  elements.floorButtons.forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const floor = parseInt(btn.dataset.floor);
-      setFloor(floor);
-    });
-  });
+// ===== Set View Mode =====
+function setViewMode(mode, animate = true) {
+  elements.view2dBtn.classList.toggle("active", mode === "2d");
+  elements.view3dBtn.classList.toggle("active", mode !== "2d");
+  const camera = mode === "2d" ? { pitch: 0, bearing: 0 } : { pitch: 55, bearing: -15 };
+  if (animate) map.easeTo({ ...camera, duration: 800 });
+  syncUrlState();
+}
 
-  elements.navigateBtn.addEventListener("click", calculateNavigation);
+// ===== Close Panels =====
+function closeRoomInfo() {
+  elements.roomInfo.classList.remove("show");
+  selectedRoom = null;
+  syncUrlState();
+}
 
-  elements.closeNav.addEventListener("click", () => {
-    elements.navResult.classList.remove("show");
-    clearNavigationPath();
-  });
+function closeNavigation() {
+  elements.navResult.classList.remove("show");
+  clearNavigationPath();
+  activeRoute = null;
+  syncUrlState();
+}
 
-  elements.setStartBtn.addEventListener("click", () => {
-    if (selectedRoom) {
-      elements.navFrom.value = selectedRoom.name;
-      elements.roomInfo.classList.remove("show");
-    }
-  });
+// ===== Deep Links =====
+// The shareable part of the view lives in the query string:
+//   ?building=mall&floor=1&room=Craftworld&view=2d&cam=lng,lat,zoom,pitch,bearing
+//   &from=Craftworld&to=Aitsun%20Technologies&to=...&profile=step-free
+// Floor, room, view and route changes add a history entry so back/forward
+// step through them; camera moves only update the current entry.
+let activeRoute = null; // { from, destinations, profile } of the route on screen
+let restoringUrlState = false;
+let urlStateSynced = false; // The first sync describes the page as opened
+
+function getViewMode() {
+  return elements.view2dBtn.classList.contains("active") ? "2d" : "3d";
+}
 
-  elements.setDestBtn.addEventListener("click", () => {
-    if (selectedRoom) {
-      elements.navTo.value = selectedRoom.name;
-      elements.roomInfo.classList.remove("show");
-      if (elements.navFrom.value) {
-        calculateNavigation();
-      }
-    }
-  });
+function buildUrlParams() {
+  const params = new URLSearchParams();
+  // Keep a kiosk's own settings (and ?offline) so a reload stays in the same mode
+  const current = new URLSearchParams(window.location.search);
+  [...KIOSK_URL_PARAMS, OFFLINE_URL_PARAM].forEach((key) => current.has(key) && params.set(key, current.get(key)));
+
+  params.set("building", currentBuilding);
+  params.set("floor", currentFloor);
+  if (selectedRoom) params.set("room", selectedRoom.name);
+  if (getViewMode() === "2d") params.set("view", "2d");
+
+  if (activeRoute) {
+    params.set("from", activeRoute.from);
+    activeRoute.destinations.forEach((name) => params.append("to", name));
+    if (activeRoute.profile !== "fastest") params.set("profile", activeRoute.profile);
+  }
 
-  elements.view3dBtn.addEventListener("click", () => {
-    elements.view3dBtn.classList.add("active");
-    elements.view2dBtn.classList.remove("active");
-    map.easeTo({ pitch: 55, bearing: -15, duration: 800 });
-  });
+  const center = map.getCenter();
+  params.set("cam", [
+    center.lng.toFixed(7),
+    center.lat.toFixed(7),
+    map.getZoom().toFixed(2),
+    map.getPitch().toFixed(1),
+    map.getBearing().toFixed(1),
+  ].join(","));
+  return params;
+}
 
-  elements.view2dBtn.addEventListener("click", () => {
-    elements.view2dBtn.classList.add("active");
-    elements.view3dBtn.classList.remove("active");
-    map.easeTo({ pitch: 0, bearing: 0, duration: 800 });
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  const state = {
+    building: params.get("building"),
+    floor: params.has("floor") ? parseInt(params.get("floor")) : null,
+    room: params.get("room"),
+    view: params.get("view") === "2d" ? "2d" : "3d",
+    route: null,
+    camera: null,
+  };
+
+  if (params.get("from") && params.getAll("to").length > 0) {
+    const profile = params.get("profile");
+    state.route = {
+      from: params.get("from"),
+      destinations: params.getAll("to"),
+      profile: ROUTE_PROFILES[profile] ? profile : "fastest",
+    };
+  }
+
+  const cam = (params.get("cam") || "").split(",").map(Number);
+  if (cam.length === 5 && cam.every((v) => !isNaN(v))) {
+    state.camera = { center: [cam[0], cam[1]], zoom: cam[2], pitch: cam[3], bearing: cam[4] };
+  }
+  return state;
+}
+
+// Record the current view in the URL. A new history entry is only added when
+// something other than the camera changed, and never by the first sync, which
+// only fills in the URL the page was opened with.
+function syncUrlState() {
+  if (restoringUrlState || !map) return;
+
+  const params = buildUrlParams();
+  const current = new URLSearchParams(window.location.search);
+  params.sort();
+  current.sort();
+  const withoutCamera = (p) => {
+    const copy = new URLSearchParams(p);
+    copy.delete("cam");
+    return copy.toString();
+  };
+  const firstSync = !urlStateSynced;
+  urlStateSynced = true;
+  if (params.toString() === current.toString()) return;
+
+  const url = `${window.location.pathname}?${params.toString()}${window.location.hash}`;
+  if (firstSync || withoutCamera(params) === withoutCamera(current)) {
+    history.replaceState(null, "", url);
+  } else {
+    history.pushState(null, "", url);
+  }
+}
+
+function applyUrlState(state) {
+  restoringUrlState = true;
+  try {
+    setViewMode(state.view, false);
+
+    // Route first: it shows the start floor, which the floor below may override
+    if (activeRoute) closeNavigation();
+    if (state.route) {
+      elements.navFrom.value = state.route.from;
+      setNavigationDestinations(state.route.destinations);
+      elements.navProfile.value = state.route.profile;
+      calculateNavigation();
+    }
+
+    if (state.building && getBuilding(state.building) && state.building !== currentBuilding) {
+      setBuilding(state.building, false);
+    }
+    if (state.floor !== null && !isNaN(state.floor) && state.floor !== currentFloor) {
+      setFloor(state.floor);
+    }
+
+    // Selected room
+    const room = state.room && floorplanData.features.find((f) => f.properties.name === state.room);
+    if (room) {
+      showRoomInfo(room);
+    } else {
+      closeRoomInfo();
+    }
+
+    // Camera last, so it wins over the fly-to of the room panel and route
+    if (state.camera) map.jumpTo(state.camera);
+  } finally {
+    restoringUrlState = false;
+  }
+}
+
+// ===== Kiosk Mode =====
+// A wall-mounted kiosk pins "You are here" to its navGraph node, starts every
+// route there and drifts back to its home view when nobody is using it.
+// Enabled with CONFIG.kiosk or ?kiosk=<node>&facing=<degrees>&idle=<seconds>.
+const KIOSK_URL_PARAMS = ["kiosk", "facing", "idle"];
+const KIOSK_START_NAME = "You are here";
+
+let kiosk = null; // { node, floor, coords, facing, idleTimeout }
+let kioskIdleTimer = null;
+
+function getKioskConfig() {
+  const params = new URLSearchParams(window.location.search);
+  const config = { ...(CONFIG.kiosk || {}) };
+  if (params.get("kiosk")) config.node = params.get("kiosk");
+  if (params.has("facing")) config.facing = Number(params.get("facing"));
+  if (params.has("idle")) config.idleTimeout = Number(params.get("idle"));
+  if (!config.node) return null;
+
+  const node = navGraph && navGraph.nodes[config.node];
+  if (!node) {
+    console.warn(`Kiosk node "${config.node}" is not in the navGraph; kiosk mode disabled`);
+    return null;
+  }
+
+  return {
+    node: config.node,
+    building: node.building,
+    floor: node.floor,
+    coords: node.coords,
+    facing: Number.isFinite(config.facing) ? config.facing : CONFIG.bearing,
+    idleTimeout: (Number.isFinite(config.idleTimeout) ? config.idleTimeout : 90) * 1000,
+  };
+}
+
+// The view a kiosk returns to: its own floor, looking the way the screen faces
+function getHomeView() {
+  if (!kiosk) {
+    return { center: CONFIG.center, zoom: CONFIG.zoom, pitch: CONFIG.pitch, bearing: CONFIG.bearing };
+  }
+  return { center: kiosk.coords, zoom: 20.5, pitch: CONFIG.pitch, bearing: kiosk.facing };
+}
+
+function setupKiosk() {
+  kiosk = getKioskConfig();
+  if (!kiosk) return;
+
+  document.body.classList.add("kiosk-mode");
+  activateBuilding(kiosk.building);
+  currentFloor = kiosk.floor;
+
+  // A routable point of its own, so the kiosk can be picked as a start like any
+  // store. Marked by isKiosk, as addFloorplanLayers renumbers every feature.
+  floorplanData.features.push({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: kiosk.coords },
+    properties: {
+      name: KIOSK_START_NAME,
+      category: "kiosk",
+      level: kiosk.floor,
+      building: kiosk.building,
+      height: 0,
+      base_height: 0,
+      color: CATEGORY_COLORS.kiosk,
+      description: "Your current location",
+      nav_node: kiosk.node,
+      isKiosk: true,
+    },
+  });
+}
+
+function addKioskMarker() {
+  const el = document.createElement("div");
+  el.className = "kiosk-marker";
+  el.innerHTML = '<span class="kiosk-marker-dot"></span><span class="kiosk-marker-label">You are here</span>';
+
+  const marker = new maplibregl.Marker({ element: el, anchor: "bottom" })
+    .setLngLat(kiosk.coords)
+    .addTo(map);
+
+  // Filtered by floor along with the store labels, and shown with the route
+  // when the kiosk is its start
+  const feature = floorplanData.features.find((f) => f.properties.isKiosk);
+  floorMarkers.push({ marker, level: kiosk.floor, building: kiosk.building, element: el, centroid: kiosk.coords, height: 0, base_height: 0, id: feature.id });
+}
+
+function resetKioskView() {
+  closeRoomInfo();
+  closeNavigation();
+  elements.storeSearch.value = "";
+  searchCategory = null;
+  populateSearchChips();
+  updateSearchResults();
+  elements.directory.open = false;
+
+  elements.navFrom.value = KIOSK_START_NAME;
+  setNavigationDestinations([]);
+  setBuilding(kiosk.building, false);
+  setFloor(kiosk.floor);
+  setViewMode("3d", false);
+  map.easeTo({ ...getHomeView(), duration: 1500 });
+}
+
+function restartKioskIdleTimer() {
+  clearTimeout(kioskIdleTimer);
+  kioskIdleTimer = setTimeout(resetKioskView, kiosk.idleTimeout);
+}
+
+// ===== Floorplan Editor =====
+// Edit mode works on the "floorplan" source in place: click a unit on the
+// active floor to drag or delete its corners (snapped to neighbouring corners
+// and edges; hold Alt to place freely) and change its properties in the side
+// form, or draw a new unit. The "Route graph" tab edits the building's navGraph
+// the same way. Only features from unprocessed source files can be edited;
+// Download writes the building's file back with the changes.
+const EDITOR_SNAP_PX = 10;
+const EDITOR_MIN_CORNERS = 3;
+const EDITOR_RUNTIME_PROPERTIES = ["id", "building", "source", "source_id"];
+
+const editor = {
+  active: false,
+  mode: "units", // "units" or "graph"
+  featureId: null, // floorplan feature id of the selected unit
+  vertex: null, // { ring, index } of the selected corner
+  drag: null, // { moved } while a corner is being dragged
+  draft: null, // corners of a unit being drawn
+  cursor: null, // pointer position while drawing
+  nodeId: null, // navGraph node selected in graph mode
+  linking: false, // next unit click links it to the selected node
+  unsaved: false,
+};
+
+function setupEditor() {
+  Object.keys(CATEGORY_COLORS).forEach((category) => {
+    const option = document.createElement("option");
+    option.value = category;
+    option.textContent = category;
+    elements.editorCategory.appendChild(option);
+  });
+
+  updateEditModeButton();
+  elements.editModeBtn.addEventListener("click", () => setEditMode(!editor.active));
+  elements.editorDoneBtn.addEventListener("click", () => setEditMode(false));
+  elements.editorDrawBtn.addEventListener("click", startEditorDraft);
+  elements.editorDeleteBtn.addEventListener("click", deleteEditorFeature);
+  elements.editorDownloadBtn.addEventListener("click", downloadEditedFile);
+  elements.editorForm.addEventListener("input", applyEditorForm);
+  elements.editorForm.addEventListener("submit", (e) => e.preventDefault());
+  elements.editorTabs.forEach((tab) => tab.addEventListener("click", () => setEditorMode(tab.dataset.mode)));
+  elements.graphNodeName.addEventListener("input", applyGraphNodeName);
+  elements.graphLinkBtn.addEventListener("click", startGraphLink);
+  elements.graphDeleteBtn.addEventListener("click", deleteGraphNode);
+
+  window.addEventListener("beforeunload", (e) => {
+    if (!editor.unsaved) return;
+    e.preventDefault();
+    e.returnValue = "";
+  });
+}
+
+// Overlay source and layers, added the first time edit mode is entered
+function addEditorLayers() {
+  if (map.getSource("editor")) return;
+  map.addSource("editor", { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+  map.addLayer({
+    id: "editor-outline",
+    type: "line",
+    source: "editor",
+    filter: ["==", ["get", "role"], "outline"],
+    paint: { "line-color": "#ffd700", "line-width": 2 },
+  });
+  map.addLayer({
+    id: "editor-draft",
+    type: "line",
+    source: "editor",
+    filter: ["==", ["get", "role"], "draft"],
+    paint: { "line-color": "#ffd700", "line-width": 2, "line-dasharray": [2, 1] },
+  });
+  map.addLayer({
+    id: "editor-vertices",
+    type: "circle",
+    source: "editor",
+    filter: ["==", ["geometry-type"], "Point"],
+    paint: {
+      "circle-radius": ["case", ["boolean", ["get", "selected"], false], 7, 5],
+      "circle-color": ["case", ["boolean", ["get", "selected"], false], "#ff3333", "#ffffff"],
+      "circle-stroke-color": "#ffd700",
+      "circle-stroke-width": 2,
+    },
+  });
+
+  map.addSource("editor-graph", { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+  map.addLayer({
+    id: "editor-graph-edges",
+    type: "line",
+    source: "editor-graph",
+    filter: ["==", ["geometry-type"], "LineString"],
+    paint: {
+      "line-color": ["case", ["boolean", ["get", "vertical"], false], "#ffd700", "#40C4FF"],
+      "line-width": 2,
+    },
+  });
+  map.addLayer({
+    id: "editor-graph-nodes",
+    type: "circle",
+    source: "editor-graph",
+    filter: ["==", ["geometry-type"], "Point"],
+    paint: {
+      "circle-radius": ["case", ["boolean", ["get", "selected"], false], 7, 5],
+      "circle-color": [
+        "case",
+        ["boolean", ["get", "selected"], false], "#ff3333",
+        ["boolean", ["get", "linked"], false], "#ffffff",
+        "#40C4FF",
+      ],
+      "circle-stroke-color": ["case", ["boolean", ["get", "vertical"], false], "#ffd700", "#000000"],
+      "circle-stroke-width": 2,
+    },
+  });
+
+  map.on("mousedown", "editor-vertices", startVertexDrag);
+  map.on("mousedown", "editor-graph-nodes", startNodeDrag);
+  ["editor-vertices", "editor-graph-nodes"].forEach((layer) => {
+    map.on("mouseenter", layer, () => {
+      if (!editor.draft) map.getCanvas().style.cursor = "move";
+    });
+    map.on("mouseleave", layer, () => {
+      if (!editor.drag && !editor.draft) map.getCanvas().style.cursor = "";
+    });
+  });
+  map.on("click", handleEditorMapClick);
+  map.on("mousemove", (e) => {
+    if (!editor.draft) return;
+    editor.cursor = snapEditorPoint(e.lngLat, e.originalEvent.altKey, editor.draft);
+    renderEditorOverlay();
+  });
+  map.on("dblclick", (e) => {
+    if (!editor.draft) return;
+    e.preventDefault();
+    finishEditorDraft();
+  });
+}
+
+// Buildings made only of processed data have nothing to edit
+function updateEditModeButton() {
+  const editable = Boolean(editableSourceFor(currentBuilding));
+  elements.editModeBtn.disabled = !editable;
+  elements.editModeBtn.title = editable ? "Edit floorplan" : `${buildingName(currentBuilding)} has no editable floorplan file`;
+}
+
+function setEditMode(active) {
+  if (active && !editableSourceFor(currentBuilding)) return;
+  editor.active = active;
+  document.body.classList.toggle("edit-mode", active);
+  elements.editModeBtn.classList.toggle("active", active);
+  elements.editorPanel.classList.toggle("hidden", !active);
+
+  if (active) {
+    addEditorLayers();
+    closeRoomInfo();
+    closeNavigation();
+    setViewMode("2d");
+    map.doubleClickZoom.disable();
+    map.boxZoom.disable(); // Shift+click connects graph nodes
+    setEditorMode(editor.mode);
+  } else {
+    cancelEditorDraft();
+    map.doubleClickZoom.enable();
+    map.boxZoom.enable();
+    selectEditorFeature(null);
+    selectGraphNode(null);
+  }
+}
+
+function setEditorMode(mode) {
+  editor.mode = mode;
+  cancelEditorDraft();
+  selectEditorFeature(null);
+  selectGraphNode(null);
+  elements.editorTabs.forEach((tab) => tab.classList.toggle("active", tab.dataset.mode === mode));
+  elements.unitEditor.classList.toggle("hidden", mode !== "units");
+  elements.graphEditor.classList.toggle("hidden", mode !== "graph");
+  setEditorStatus(
+    mode === "graph"
+      ? "Click empty space to add a node (joined to the selected one). Shift+click a node to connect or disconnect it from the selected one; switch floors first for a vertical link."
+      : "Click a unit to edit it, or draw a new one."
+  );
+}
+
+// The unprocessed file a building's editable features come from
+function editableSourceFor(building) {
+  const feature = floorplanData.features.find((f) => f.properties.building === building && f.properties.source);
+  return feature ? feature.properties.source : null;
+}
+
+function getEditorFeature() {
+  if (editor.featureId === null) return null;
+  return floorplanData.features.find((f) => f.id === editor.featureId) || null;
+}
+
+function setEditorStatus(message, isError = false) {
+  elements.editorStatus.textContent = message;
+  elements.editorStatus.classList.toggle("error", isError);
+}
+
+// ===== Editor: Selection & Form =====
+function handleEditorFeatureClick(e) {
+  if (editor.mode !== "units") return; // Graph clicks are handled by handleGraphClick
+  if (editor.draft) return; // Clicks place corners while drawing
+  // A corner sits on top of its unit (and often a neighbour); leave it to the drag handler
+  if (map.queryRenderedFeatures(e.point, { layers: ["editor-vertices"] }).length > 0) return;
+
+  const feature = floorplanData.features.find((f) => f.id === e.features[0].id);
+  if (!feature) return;
+  const props = feature.properties;
+  if (props.building !== currentBuilding || (props.level !== currentFloor && props.level !== -1)) return;
+  if (!props.source) {
+    setEditorStatus(`"${props.name || props.category}" comes from processed data and can't be edited here.`, true);
+    return;
+  }
+  selectEditorFeature(feature.id);
+}
+
+function selectEditorFeature(id) {
+  editor.featureId = id;
+  editor.vertex = null;
+  const feature = getEditorFeature();
+  elements.editorFields.disabled = !feature;
+  elements.editorDeleteBtn.disabled = !feature;
+
+  if (feature) {
+    const props = feature.properties;
+    elements.editorName.value = props.name || "";
+    elements.editorCategory.value = props.category;
+    elements.editorColor.value = props.color || "";
+    elements.editorDescription.value = props.description || "";
+    elements.editorHeight.value = Math.round(((props.height || 0) - (props.base_height || 0)) * 100) / 100;
+    setEditorStatus(
+      feature.geometry.type === "Polygon"
+        ? "Drag a corner to move it; select one and press Delete to remove it."
+        : "Only Polygon outlines can be reshaped; properties can still be edited."
+    );
+  } else {
+    elements.editorForm.reset();
+  }
+  renderEditorOverlay();
+}
+
+function applyEditorForm(e) {
+  const feature = getEditorFeature();
+  if (!feature) return;
+  const previous = feature.properties;
+  const props = {
+    ...previous,
+    name: elements.editorName.value,
+    category: elements.editorCategory.value,
+    color: elements.editorColor.value.trim(),
+    height: (previous.base_height || 0) + Number(elements.editorHeight.value),
+  };
+  const description = elements.editorDescription.value.trim();
+  if (description) props.description = description;
+  else delete props.description;
+
+  // A new category brings its color along unless the unit had a custom one
+  if (e.target === elements.editorCategory && previous.color === CATEGORY_COLORS[previous.category]) {
+    props.color = CATEGORY_COLORS[props.category];
+    elements.editorColor.value = props.color;
+  }
+
+  const floors = getFloors(props.building).map((floor) => floor.id);
+  const issues = FloorplanSchema.validateFeatures([{ ...feature, properties: props }], { floors })
+    .filter((issue) => issue.severity === "error");
+  if (issues.length > 0) {
+    setEditorStatus(FloorplanSchema.formatIssue(issues[0]), true);
+    return;
+  }
+
+  feature.properties = props;
+  commitEditorChange(`Updated "${props.name || props.category}".`);
+}
+
+// ===== Editor: Corners =====
+function startVertexDrag(e) {
+  if (!editor.active || editor.draft) return;
+  const vertex = e.features.find((f) => f.properties.role === "vertex");
+  if (!vertex) return;
+  e.preventDefault(); // Keep the map from panning
+
+  editor.vertex = { ring: vertex.properties.ring, index: vertex.properties.index };
+  editor.drag = { moved: false };
+  map.getCanvas().style.cursor = "grabbing";
+  map.on("mousemove", dragVertex);
+  map.once("mouseup", endVertexDrag);
+  renderEditorOverlay();
+}
+
+function dragVertex(e) {
+  const feature = getEditorFeature();
+  const ring = feature.geometry.coordinates[editor.vertex.ring];
+  setRingCorner(ring, editor.vertex.index, snapEditorPoint(e.lngLat, e.originalEvent.altKey));
+  editor.drag.moved = true;
+  map.getSource("floorplan").setData(floorplanData);
+  renderEditorOverlay();
+}
+
+function endVertexDrag() {
+  map.off("mousemove", dragVertex);
+  map.getCanvas().style.cursor = "";
+  const { moved } = editor.drag;
+  editor.drag = null;
+  if (moved) commitEditorChange("Moved a corner.");
+  else setEditorStatus("Corner selected: press Delete to remove it, or drag to move it.");
+}
+
+// Rings are closed, so the first corner is also the last position
+function setRingCorner(ring, index, coords) {
+  ring[index] = coords;
+  if (index === 0) ring[ring.length - 1] = coords;
+}
+
+function deleteEditorVertex() {
+  const feature = getEditorFeature();
+  const { ring: r, index } = editor.vertex;
+  const ring = feature.geometry.coordinates[r];
+  if (ring.length - 1 <= EDITOR_MIN_CORNERS) {
+    setEditorStatus(`A unit needs at least ${EDITOR_MIN_CORNERS} corners.`, true);
+    return;
+  }
+  ring.splice(index, 1);
+  if (index === 0) ring[ring.length - 1] = ring[0];
+  editor.vertex = null;
+  commitEditorChange("Removed a corner.");
+}
+
+// Snaps to the nearest corner, else the nearest edge, of the other units on
+// the active floor (plus any extra corners, e.g. a draft's own), within
+// EDITOR_SNAP_PX on screen
+function snapEditorPoint(lngLat, free, extraCorners = []) {
+  const coords = [roundCoordinate(lngLat.lng), roundCoordinate(lngLat.lat)];
+  if (free) return coords;
+
+  const point = map.project(lngLat);
+  const rings = getEditorSnapRings();
+  let best = null;
+  let bestDistance = EDITOR_SNAP_PX;
+
+  [...rings.flat(), ...extraCorners].forEach((corner) => {
+    const distance = point.dist(map.project(corner));
+    if (distance < bestDistance) {
+      best = [...corner];
+      bestDistance = distance;
+    }
+  });
+  if (best) return best;
+
+  rings.forEach((ring) => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const a = map.project(ring[i]);
+      const b = map.project(ring[i + 1]);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq));
+      const x = a.x + t * dx;
+      const y = a.y + t * dy;
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (distance < bestDistance) {
+        const snapped = map.unproject([x, y]);
+        best = [roundCoordinate(snapped.lng), roundCoordinate(snapped.lat)];
+        bestDistance = distance;
+      }
+    }
   });
+  return best || coords;
+}
+
+function roundCoordinate(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function getEditorSnapRings() {
+  return floorplanData.features
+    .filter((f) =>
+      f.id !== editor.featureId &&
+      f.properties.building === currentBuilding &&
+      (f.properties.level === currentFloor || f.properties.level === -1)
+    )
+    .flatMap((f) => [...Geometry.polygonsOf(f.geometry).flat(), ...Geometry.linesOf(f.geometry)]);
+}
+
+// ===== Editor: Drawing =====
+function startEditorDraft() {
+  selectEditorFeature(null);
+  editor.draft = [];
+  editor.cursor = null;
+  map.getCanvas().style.cursor = "crosshair";
+  setEditorStatus("Click to place corners. Double-click, press Enter or click the first corner to finish; Esc cancels.");
+}
+
+function handleEditorMapClick(e) {
+  if (editor.active && editor.mode === "graph") {
+    handleGraphClick(e);
+    return;
+  }
+  if (!editor.active || !editor.draft) return;
+  const first = editor.draft[0];
+  if (editor.draft.length >= EDITOR_MIN_CORNERS && map.project(first).dist(e.point) < EDITOR_SNAP_PX) {
+    finishEditorDraft();
+    return;
+  }
+  editor.draft.push(snapEditorPoint(e.lngLat, e.originalEvent.altKey, editor.draft));
+  renderEditorOverlay();
+}
+
+function cancelEditorDraft() {
+  if (!editor.draft) return;
+  editor.draft = null;
+  editor.cursor = null;
+  map.getCanvas().style.cursor = "";
+  renderEditorOverlay();
+}
+
+function finishEditorDraft() {
+  // A double-click also lands two clicks on the last corner
+  const corners = editor.draft.filter((corner, i, all) =>
+    i === 0 || corner[0] !== all[i - 1][0] || corner[1] !== all[i - 1][1]
+  );
+  if (corners.length < EDITOR_MIN_CORNERS) {
+    setEditorStatus(`A unit needs at least ${EDITOR_MIN_CORNERS} corners.`, true);
+    return;
+  }
+
+  const floor = getFloor(currentFloor);
+  const id = floorplanData.features.reduce((max, f) => (typeof f.id === "number" ? Math.max(max, f.id) : max), -1) + 1;
+  floorplanData.features.push({
+    type: "Feature",
+    id,
+    properties: {
+      name: "",
+      category: "store",
+      level: currentFloor,
+      height: floor.elevation + floor.height,
+      base_height: floor.elevation,
+      color: CATEGORY_COLORS.store,
+      id,
+      building: currentBuilding,
+      source: editableSourceFor(currentBuilding),
+    },
+    geometry: { type: "Polygon", coordinates: [[...corners, corners[0]]] },
+  });
+
+  cancelEditorDraft();
+  commitEditorChange("Drew a new unit.");
+  selectEditorFeature(id);
+  setEditorStatus("New unit drawn: give it a name and category.");
+  elements.editorName.focus();
+}
+
+function deleteEditorFeature() {
+  const feature = getEditorFeature();
+  if (!feature) return;
+  if (!confirm(`Delete "${feature.properties.name || feature.properties.category}"?`)) return;
+  floorplanData.features.splice(floorplanData.features.indexOf(feature), 1);
+  selectEditorFeature(null);
+  commitEditorChange("Deleted the unit.");
+}
+
+// ===== Editor: Rendering =====
+function renderEditorOverlay() {
+  const source = map && map.getSource("editor");
+  if (!source) return;
+  const features = [];
+
+  const feature = editor.active && getEditorFeature();
+  if (feature && feature.geometry.type === "Polygon") {
+    features.push({ type: "Feature", properties: { role: "outline" }, geometry: feature.geometry });
+    feature.geometry.coordinates.forEach((ring, r) =>
+      ring.slice(0, -1).forEach((coords, index) => {
+        const selected = Boolean(editor.vertex) && editor.vertex.ring === r && editor.vertex.index === index;
+        features.push({
+          type: "Feature",
+          properties: { role: "vertex", ring: r, index, selected },
+          geometry: { type: "Point", coordinates: coords },
+        });
+      })
+    );
+  }
+
+  if (editor.draft && editor.draft.length > 0) {
+    const line = editor.cursor ? [...editor.draft, editor.cursor] : editor.draft;
+    if (line.length > 1) {
+      features.push({ type: "Feature", properties: { role: "draft" }, geometry: { type: "LineString", coordinates: line } });
+    }
+    editor.draft.forEach((coords) =>
+      features.push({ type: "Feature", properties: { role: "draft-vertex" }, geometry: { type: "Point", coordinates: coords } })
+    );
+  }
+
+  source.setData({ type: "FeatureCollection", features });
+  renderGraphOverlay();
+}
+
+// Redraws everything that depends on the floorplan after an edit
+function commitEditorChange(message) {
+  editor.unsaved = true;
+  refreshFloorplan();
+  renderEditorOverlay();
+  setEditorStatus(`${message} Download to keep your changes.`);
+}
+
+function refreshFloorplan() {
+  map.getSource("floorplan").setData(floorplanData);
+  addStoreLabels();
+  updateFloorFilter(currentFloor);
+  populateNavigationOptions();
+  renderDirectory();
+  updateSearchResults();
+}
+
+// Returns true when the key was handled by the editor
+function handleEditorKeydown(e) {
+  if (editor.mode === "graph") return handleGraphKeydown(e);
+  if (e.key === "Escape") {
+    if (editor.draft) cancelEditorDraft();
+    else if (editor.vertex) {
+      editor.vertex = null;
+      renderEditorOverlay();
+    } else selectEditorFeature(null);
+    return true;
+  }
+  if (e.key === "Enter" && editor.draft) {
+    finishEditorDraft();
+    return true;
+  }
+  if ((e.key === "Delete" || e.key === "Backspace") && editor.vertex) {
+    deleteEditorVertex();
+    return true;
+  }
+  return false;
+}
+
+// ===== Editor: Route Graph =====
+// The current building's navGraph nodes and edges on the active floor. Edges
+// to other floors (or buildings) are drawn gold, and their nodes badged with
+// where they lead. Edits change navGraph in place, so routing sees them at once.
+let graphMarkers = [];
+
+function renderGraphOverlay() {
+  graphMarkers.forEach((marker) => marker.remove());
+  graphMarkers = [];
+  const features = [];
+
+  if (editor.active && editor.mode === "graph") {
+    const onFloor = (node) => node.building === currentBuilding && node.floor === currentFloor;
+    const linked = new Set(floorplanData.features.map((f) => f.properties.nav_node).filter(Boolean));
+    const reaches = {}; // node id -> the other floors/buildings its vertical edges lead to
+
+    navGraph.edges.forEach((rawEdge) => {
+      const edge = normalizeNavEdge(rawEdge);
+      const a = navGraph.nodes[edge.from];
+      const b = navGraph.nodes[edge.to];
+      if (!a || !b || (!onFloor(a) && !onFloor(b))) return;
+      const vertical = a.floor !== b.floor || a.building !== b.building;
+      features.push({
+        type: "Feature",
+        properties: { vertical },
+        geometry: { type: "LineString", coordinates: [a.coords, b.coords] },
+      });
+      if (!vertical) return;
+      [[edge.from, b], [edge.to, a]].forEach(([id, other]) => {
+        const label = other.building === currentBuilding ? floorLabel(other.floor) : buildingName(other.building);
+        reaches[id] = [...(reaches[id] || []), label];
+      });
+    });
+
+    Object.entries(navGraph.nodes).forEach(([id, node]) => {
+      if (!onFloor(node)) return;
+      features.push({
+        type: "Feature",
+        properties: { id, selected: id === editor.nodeId, linked: linked.has(id), vertical: Boolean(reaches[id]) },
+        geometry: { type: "Point", coordinates: node.coords },
+      });
+      if (!reaches[id]) return;
+
+      const el = document.createElement("div");
+      el.className = "graph-badge";
+      el.textContent = `⇅ ${reaches[id].join(" · ")}`;
+      graphMarkers.push(
+        new maplibregl.Marker({ element: el, anchor: "top", offset: [0, 8] }).setLngLat(node.coords).addTo(map)
+      );
+    });
+  }
+
+  map.getSource("editor-graph").setData({ type: "FeatureCollection", features });
+}
+
+function handleGraphClick(e) {
+  if (editor.linking) {
+    linkUnitAt(e.point);
+    return;
+  }
+  const hit = map.queryRenderedFeatures(e.point, { layers: ["editor-graph-nodes"] })[0];
+  if (!hit) {
+    addGraphNode(e.lngLat);
+    return;
+  }
+  const id = hit.properties.id;
+  if (e.originalEvent.shiftKey && editor.nodeId && editor.nodeId !== id) toggleNavEdge(editor.nodeId, id);
+  else selectGraphNode(id);
+}
+
+function selectGraphNode(id) {
+  editor.nodeId = id;
+  editor.linking = false;
+  const node = id && navGraph.nodes[id];
+  elements.graphNode.classList.toggle("hidden", !node);
+  elements.graphLinkBtn.disabled = !node;
+  elements.graphDeleteBtn.disabled = !node;
+  if (node) {
+    elements.graphNodeId.textContent = `${id} · ${floorName(node.floor, node.building)}`;
+    elements.graphNodeName.value = node.name || "";
+    renderGraphNodeUnits();
+  }
+  renderEditorOverlay();
+}
+
+// Units whose nav_node is the selected node, each with an unlink button
+function renderGraphNodeUnits() {
+  elements.graphNodeUnits.innerHTML = "";
+  const units = floorplanData.features.filter((f) => f.properties.nav_node === editor.nodeId);
+  if (units.length === 0) {
+    const item = document.createElement("li");
+    item.className = "graph-empty";
+    item.textContent = "No units linked";
+    elements.graphNodeUnits.appendChild(item);
+  }
+  units.forEach((feature) => {
+    const name = feature.properties.name || feature.properties.category;
+    const item = document.createElement("li");
+    item.textContent = name;
+    if (feature.properties.source) {
+      const unlink = document.createElement("button");
+      unlink.className = "graph-unlink";
+      unlink.textContent = "×";
+      unlink.title = "Unlink";
+      unlink.addEventListener("click", () => {
+        delete feature.properties.nav_node;
+        commitEditorChange(`Unlinked "${name}" from ${editor.nodeId}.`);
+        renderGraphNodeUnits();
+      });
+      item.appendChild(unlink);
+    }
+    elements.graphNodeUnits.appendChild(item);
+  });
+}
+
+function applyGraphNodeName() {
+  const node = navGraph.nodes[editor.nodeId];
+  const name = elements.graphNodeName.value.trim();
+  if (name) node.name = name;
+  else delete node.name;
+  editor.unsaved = true;
+}
+
+// New ids follow build_navgraph.js: a level prefix (g, f1, b1) and a counter
+function nextNavNodeId(level) {
+  const prefix = level === 0 ? "g" : level > 0 ? `f${level}` : `b${-level}`;
+  let count = 1;
+  while (navGraph.nodes[`${prefix}_node_${count}`]) count++;
+  return `${prefix}_node_${count}`;
+}
+
+function addGraphNode(lngLat) {
+  const id = nextNavNodeId(currentFloor);
+  const previous = editor.nodeId && navGraph.nodes[editor.nodeId];
+  const join = previous && previous.building === currentBuilding && previous.floor === currentFloor;
+
+  navGraph.nodes[id] = {
+    coords: [roundCoordinate(lngLat.lng), roundCoordinate(lngLat.lat)],
+    floor: currentFloor,
+    building: currentBuilding,
+  };
+  if (join) navGraph.edges.push([editor.nodeId, id]);
+  const message = join ? `Added ${id}, joined to ${editor.nodeId}.` : `Added ${id}.`;
+  selectGraphNode(id);
+  commitGraphChange(message);
+}
+
+// Venue connectors (edges between buildings) live in venue.json and are left alone
+function toggleNavEdge(from, to) {
+  const index = navGraph.edges.findIndex((rawEdge) => {
+    if (venue.connectors.includes(rawEdge)) return false;
+    const edge = normalizeNavEdge(rawEdge);
+    return (edge.from === from && edge.to === to) || (edge.from === to && edge.to === from);
+  });
+  if (index !== -1) {
+    navGraph.edges.splice(index, 1);
+    commitGraphChange(`Disconnected ${from} and ${to}.`);
+  } else {
+    navGraph.edges.push([from, to]);
+    commitGraphChange(`Connected ${from} and ${to}.`);
+  }
+}
+
+function deleteGraphNode() {
+  const id = editor.nodeId;
+  if (!id) return;
+  const usedByConnector = venue.connectors.some((rawEdge) => {
+    const edge = normalizeNavEdge(rawEdge);
+    return edge.from === id || edge.to === id;
+  });
+  if (usedByConnector) {
+    setEditorStatus(`${id} is used by a connector in venue.json; remove it there first.`, true);
+    return;
+  }
+
+  delete navGraph.nodes[id];
+  navGraph.edges = navGraph.edges.filter((rawEdge) => {
+    const edge = normalizeNavEdge(rawEdge);
+    return edge.from !== id && edge.to !== id;
+  });
+  const units = floorplanData.features.filter((f) => f.properties.nav_node === id);
+  units.forEach((feature) => delete feature.properties.nav_node);
+
+  selectGraphNode(null);
+  commitGraphChange(units.length > 0 ? `Deleted ${id} and unlinked ${units.length} unit(s).` : `Deleted ${id}.`);
+}
+
+function startGraphLink() {
+  if (!editor.nodeId) return;
+  editor.linking = true;
+  setEditorStatus(`Click the unit that ${editor.nodeId} is the entrance of. Esc cancels.`);
+}
+
+function linkUnitAt(point) {
+  editor.linking = false;
+  const feature = map.queryRenderedFeatures(point, { layers: ROOM_LAYERS })
+    .map((hit) => floorplanData.features.find((f) => f.id === hit.id))
+    .find((f) => f && f.properties.building === currentBuilding);
+  if (!feature) {
+    setEditorStatus("No unit there; link cancelled.", true);
+    return;
+  }
+  const name = feature.properties.name || feature.properties.category;
+  if (!feature.properties.source) {
+    setEditorStatus(`"${name}" comes from processed data and can't be linked here.`, true);
+    return;
+  }
+  feature.properties.nav_node = editor.nodeId;
+  commitEditorChange(`Linked "${name}" to ${editor.nodeId}.`);
+  renderGraphNodeUnits();
+}
+
+function startNodeDrag(e) {
+  if (!editor.active || editor.mode !== "graph" || editor.linking || e.originalEvent.shiftKey) return;
+  e.preventDefault(); // Keep the map from panning
+  selectGraphNode(e.features[0].properties.id);
+  editor.drag = { moved: false };
+  map.getCanvas().style.cursor = "grabbing";
+  map.on("mousemove", dragNode);
+  map.once("mouseup", endNodeDrag);
+}
+
+function dragNode(e) {
+  navGraph.nodes[editor.nodeId].coords = [roundCoordinate(e.lngLat.lng), roundCoordinate(e.lngLat.lat)];
+  editor.drag.moved = true;
+  renderGraphOverlay();
+}
+
+function endNodeDrag() {
+  map.off("mousemove", dragNode);
+  map.getCanvas().style.cursor = "";
+  const { moved } = editor.drag;
+  editor.drag = null;
+  if (moved) commitGraphChange(`Moved ${editor.nodeId}.`);
+}
+
+function commitGraphChange(message) {
+  navAdjacency = null; // Rebuilt from navGraph on the next route
+  commitEditorChange(message);
+}
+
+function handleGraphKeydown(e) {
+  if (e.key === "Escape") {
+    if (editor.linking) {
+      editor.linking = false;
+      setEditorStatus("Link cancelled.");
+    } else selectGraphNode(null);
+    return true;
+  }
+  if ((e.key === "Delete" || e.key === "Backspace") && editor.nodeId) {
+    deleteGraphNode();
+    return true;
+  }
+  return false;
+}
+
+// The building's part of the merged navGraph, as stored in its file: venue
+// connectors and the runtime `building` tag are left out
+function exportNavGraph(building) {
+  const nodes = {};
+  Object.entries(navGraph.nodes).forEach(([id, node]) => {
+    if (node.building !== building) return;
+    const copy = { ...node };
+    delete copy.building;
+    nodes[id] = copy;
+  });
+  const edges = navGraph.edges.filter((rawEdge) => {
+    if (venue.connectors.includes(rawEdge)) return false;
+    const edge = normalizeNavEdge(rawEdge);
+    return Boolean(nodes[edge.from] || nodes[edge.to]);
+  });
+  return { nodes, edges };
+}
+
+// ===== Editor: Download =====
+// Writes the current building's source file back: runtime properties are
+// stripped and original feature ids restored. A file generated by
+// build_floorplan.js would be overwritten by the next build, so unit edits go
+// to the current floor's source file instead; the navGraph (graph mode) is
+// still downloaded in the generated file, whose graph the build keeps.
+async function downloadEditedFile() {
+  const url = editableSourceFor(currentBuilding);
+  const features = floorplanData.features
+    .filter((f) => f.properties.source === url)
+    .map((f) => {
+      const props = { ...f.properties };
+      const sourceId = props.source_id;
+      EDITOR_RUNTIME_PROPERTIES.forEach((key) => delete props[key]);
+      const feature = { ...f, properties: props }; // Keeps the file's key order
+      if (sourceId !== undefined) feature.id = sourceId;
+      else delete feature.id;
+      return feature;
+    });
+
+  const issues = FloorplanSchema.validateFeatures(features, {
+    floors: getFloors().map((floor) => floor.id),
+    source: url,
+  });
+  const errors = issues.filter((issue) => issue.severity === "error");
+  if (errors.length > 0) {
+    setEditorStatus(`Fix ${errors.length} error(s) before downloading: ${FloorplanSchema.formatIssue(errors[0])}`, true);
+    return;
+  }
+
+  // Features that failed validation at load time never reached the map
+  const dropped = new Set(
+    dataIssues.filter((issue) => issue.source === url && issue.severity === "error").map((issue) => issue.index)
+  ).size;
+  if (dropped > 0 && !confirm(`${dropped} invalid feature(s) from ${url} were not loaded and will be missing from the download. Continue?`)) {
+    return;
+  }
+
+  const build = sourceBuilds.get(url);
+  if (build && editor.mode === "units") {
+    try {
+      await downloadFloorSource(build, features);
+    } catch (error) {
+      setEditorStatus(`Could not export the floor's source file: ${error.message}`, true);
+    }
+    return;
+  }
+
+  const file = { ...sourceFiles.get(url), features };
+  if (file.navGraph) file.navGraph = exportNavGraph(currentBuilding);
+  const name = saveJsonFile(url, file);
+
+  editor.unsaved = false;
+  const generated = build ? "; build_floorplan.js keeps this navGraph when it rebuilds the file" : "";
+  setEditorStatus(`Downloaded ${name} (${features.length} features${file.navGraph ? " and its navGraph" : ""}${generated}).`);
+}
+
+// The current floor's features in the form build_floorplan.js reads them:
+// heights relative to the floor, no level or id, and no color the build would
+// fill in anyway. Features without a category (routing sketches the build
+// skips) and the floor's copies of shafts the build merges across floors are
+// kept from the original file.
+async function downloadFloorSource(buildUrl, features) {
+  const manifest = await fetchJson(buildUrl);
+  const floor = manifest.floors.find((f) => Number(f.id) === currentFloor);
+  if (!floor) throw new Error(`${buildUrl} has no source file for floor ${currentFloor}`);
+  const original = await fetchJson(floor.source);
+
+  const elevation = Number(floor.elevation);
+  const units = features
+    .filter((f) => f.properties.level === currentFloor)
+    .map((f) => {
+      const props = { ...f.properties };
+      const height = props.height - elevation;
+      const base = (props.base_height || 0) - elevation;
+      delete props.level;
+      if (height === Number(floor.height)) delete props.height;
+      else props.height = height;
+      if (base === 0) delete props.base_height;
+      else props.base_height = base;
+      if (props.color === CATEGORY_COLORS[props.category]) delete props.color;
+      const feature = { ...f, properties: props };
+      delete feature.id;
+      return feature;
+    });
+  const shafts = features.filter((f) => f.properties.level === -1);
+  const kept = original.features.filter((f) => {
+    const props = f.properties || {};
+    if (!props.category) return true;
+    return shafts.some((shaft) => shaft.properties.category === props.category && shaft.properties.name === props.name);
+  });
+
+  const name = saveJsonFile(floor.source, { ...original, features: [...units, ...kept] });
+  editor.unsaved = false;
+  setEditorStatus(
+    `Downloaded ${name} (${units.length} features on ${getFloor(currentFloor).name}). ` +
+      `Run node build_floorplan.js to rebuild ${manifest.output}; edits to shafts, walls and the outline are not included.`
+  );
+}
+
+// Saves JSON as a download named after the file's URL; returns that name
+function saveJsonFile(url, json) {
+  const blob = new Blob([JSON.stringify(json, null, 2)], { type: "application/geo+json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = url.split("/").pop();
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  return link.download;
+}
+
+// ===== Setup Event Listeners =====
+function setupEventListeners() {
+  elements.navigateBtn.addEventListener("click", calculateNavigation);
+
+  elements.storeSearch.addEventListener("input", updateSearchResults);
+  elements.storeSearch.addEventListener("keydown", handleSearchKeydown);
+
+  elements.addStopBtn.addEventListener("click", () => addNavigationStop().focus());
+
+  elements.closeNav.addEventListener("click", closeNavigation);
+
+  elements.setStartBtn.addEventListener("click", () => {
+    if (selectedRoom) {
+      elements.navFrom.value = selectedRoom.name;
+      closeRoomInfo();
+    }
+  });
+
+  elements.setDestBtn.addEventListener("click", () => {
+    if (selectedRoom) {
+      elements.navTo.value = selectedRoom.name;
+      closeRoomInfo();
+      if (elements.navFrom.value) {
+        calculateNavigation();
+      }
+    }
+  });
+
+  elements.view3dBtn.addEventListener("click", () => setViewMode("3d"));
+  elements.view2dBtn.addEventListener("click", () => setViewMode("2d"));
+
+  map.on("moveend", syncUrlState);
+  window.addEventListener("popstate", () => applyUrlState(readUrlState()));
+  window.addEventListener("online", restoreBasemap);
+
+  if (kiosk) {
+    ["pointerdown", "keydown", "wheel", "touchstart"].forEach((type) =>
+      document.addEventListener(type, restartKioskIdleTimer, { passive: true })
+    );
+  }
 
   document.addEventListener("click", (e) => {
     if (
       !elements.roomInfo.contains(e.target) &&
-      !e.target.closest(".maplibregl-canvas")
+      !e.target.closest(".maplibregl-canvas") &&
+      !e.target.closest(".search-panel") &&
+      elements.roomInfo.classList.contains("show")
     ) {
-      elements.roomInfo.classList.remove("show");
+      closeRoomInfo();
     }
   });
 
   document.addEventListener("keydown", (e) => {
+    // Typing in the search box shouldn't switch floors
+    if (e.target.matches("input, textarea") && e.key !== "Escape") return;
+    if (editor.active && handleEditorKeydown(e)) return;
     if (e.key === "Escape") {
-      elements.roomInfo.classList.remove("show");
-      elements.navResult.classList.remove("show");
-      clearNavigationPath();
+      closeRoomInfo();
+      closeNavigation();
     }
-    if (e.key === "0" || e.key === "g" || e.key === "G") setFloor(0);
-    if (e.key === "1") setFloor(1);
-    if (e.key === "2") setFloor(2);
+    // A floor's label or id switches to it (G, 1, 2, B...)
+    const key = e.key.toLowerCase();
+    const floor = getFloors().find((f) => f.label.toLowerCase() === key || String(f.id) === key);
+    if (floor) setFloor(floor.id);
   });
 }
 
+// ===== Data Issues =====
+// Schema problems and load failures, listed in a collapsible panel so bad
+// data is visible to whoever maintains it instead of silently patched. The
+// panel only appears for errors; warnings alone stay in the console, where
+// visitors don't see them.
+let dataIssues = [];
+
+function reportDataIssues(issues) {
+  if (issues.length === 0) return;
+  issues.forEach((issue) => {
+    const line = FloorplanSchema.formatIssue(issue);
+    if (issue.severity === "error") console.error(line);
+    else console.warn(line);
+  });
+  dataIssues.push(...issues);
+  renderDataIssues();
+}
+
+function renderDataIssues() {
+  const errors = dataIssues.filter((issue) => issue.severity === "error").length;
+  const warnings = dataIssues.length - errors;
+  const counts = [];
+  if (errors > 0) counts.push(`${errors} error${errors === 1 ? "" : "s"}`);
+  if (warnings > 0) counts.push(`${warnings} warning${warnings === 1 ? "" : "s"}`);
+
+  elements.dataIssuesSummary.textContent = `⚠ Data issues: ${counts.join(", ")}`;
+  elements.dataIssuesList.innerHTML = "";
+  dataIssues.forEach((issue) => {
+    const item = document.createElement("li");
+    item.className = issue.severity;
+    item.textContent = FloorplanSchema.formatIssue(issue);
+    elements.dataIssuesList.appendChild(item);
+  });
+  elements.dataIssues.classList.toggle("has-errors", errors > 0);
+  elements.dataIssues.classList.toggle("hidden", errors === 0);
+}
+
+// ===== Offline Support =====
+// Kiosks have no internet and the mall Wi-Fi is patchy: sw.js caches the app
+// and its data, fetch_offline_assets.js bundles MapLibre, the fonts and the
+// glyphs into vendor/, and the basemap gives way to the plain venue-only style
+// when its tiles can't be reached.
+const OFFLINE_URL_PARAM = "offline";
+const BASEMAP_SOURCE = "carto-dark";
+const BASEMAP_LAYER = "carto-dark-layer";
+const BASEMAP_ERROR_LIMIT = 3; // Failed tiles before the basemap is hidden
+const GLYPHS_CDN_URL = "https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf";
+const VENDOR_MANIFEST_URL = "vendor/manifest.json";
+
+let basemapErrors = 0;
+let glyphsUrl = GLYPHS_CDN_URL;
+
+function isOfflineMode() {
+  return CONFIG.offline || new URLSearchParams(window.location.search).has(OFFLINE_URL_PARAM) || navigator.onLine === false;
+}
+
+// The style needs absolute URLs; new URL() would escape the {fontstack} tokens
+function resolveAssetUrl(path) {
+  if (/^https?:/.test(path)) return path;
+  return window.location.href.replace(/[?#].*$/, "").replace(/[^/]*$/, "") + path;
+}
+
+// The bundled glyphs when fetch_offline_assets.js has fetched them for the
+// label font, else the CDN. Its manifest (which sw.js precaches from) is read
+// once; a missing vendor/ is a normal deployment, so it isn't warned about.
+async function resolveGlyphsUrl() {
+  try {
+    const response = await fetch(VENDOR_MANIFEST_URL);
+    const manifest = response.ok ? await response.json() : null;
+    if (manifest && (manifest.fontstacks || []).includes(LABEL_FONT[0])) return resolveAssetUrl(CONFIG.glyphs);
+  } catch (error) {
+    // Unreachable or not JSON either way; the CDN is the better bet once back online
+  }
+  return GLYPHS_CDN_URL;
+}
+
+function handleBasemapError(e) {
+  if (e.sourceId !== BASEMAP_SOURCE || !map.getLayer(BASEMAP_LAYER)) return;
+  basemapErrors++;
+  if (basemapErrors === BASEMAP_ERROR_LIMIT) {
+    console.warn("Basemap tiles unreachable; showing the venue only");
+    map.setLayoutProperty(BASEMAP_LAYER, "visibility", "none");
+  }
+}
+
+// Tries the tiles again when the connection comes back
+function restoreBasemap() {
+  basemapErrors = 0;
+  if (map.getLayer(BASEMAP_LAYER)) map.setLayoutProperty(BASEMAP_LAYER, "visibility", "visible");
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || window.location.protocol === "file:") return;
+  navigator.serviceWorker.register("sw.js").catch((error) => console.warn("Service worker not registered:", error));
+}
+
 // ===== Hide Loading Overlay =====
 function hideLoading() {
   setTimeout(() => {
@@ -0,0 +1,330 @@
+/**
+ * Builds the combined floorplan file from one GeoJSON file per floor, so each
+ * floor can be edited on its own.
+ *
+ * Usage: node build_floorplan.js [manifest.json] [--out file] [--navgraph] [--check] [--dry-run]
+ *
+ * The manifest (default mall-floorplan.build.json) lists the floors, each with
+ * its source file, plus structure files (outline etc., shown on every floor)
+ * and wall files. For every feature the build:
+ *   - stamps level, base_height and height from the floor it came from. A
+ *     height in a floor file is relative to that floor; without one the
+ *     feature fills the floor
+ *   - merges an elevator/stairs/escalator drawn identically on every floor
+ *     into one shaft
+ *   - fills in a missing color from CATEGORY_COLORS
+ *   - assigns a stable id from its floor and name (g_craftworld, f1_..., wall_3)
+ *
+ * Features without a category (routing sketches such as walkway points) are
+ * skipped. The navGraph of the existing output file is kept, but feature
+ * properties come from the floor files only, so nav_node links belong there
+ * (node link_nav_nodes.js floor_*.geojson --graph mall-floorplan.geojson).
+ * The result is checked against floorplan_schema.js and is not written if it
+ * has errors.
+ *
+ * --navgraph regenerates the navGraph from the floor geometry with
+ * build_navgraph.js and writes the new nav_node links into the floor files
+ * before building. After editing the floor files:
+ *
+ *   node build_floorplan.js --navgraph   (plain build_floorplan.js keeps the graph)
+ *   node validate_navgraph.js
+ *
+ * --check exits with code 1 when the output file is out of date.
+ *
+ * Naming the manifest as the output's "build" in venue.json makes the app's
+ * editor download the edited floor's source file instead of the output.
+ */
+const fs = require('fs');
+const path = require('path');
+const FloorplanSchema = require('./floorplan_schema');
+const { generateNavGraph, mergeExternalNodes, venueConnectorNodes, clearStaleLinks, levelPrefix, slugify } = require('./build_navgraph');
+
+const DEFAULT_MANIFEST = 'mall-floorplan.build.json';
+const VERTICAL_CATEGORIES = ['elevator', 'stairs', 'escalator'];
+const WALL_HEIGHT_M = 0.5;
+const WALL_EXTRUDE_HEIGHT_M = 4;
+
+// ===== Helpers =====
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+function readFeatureCollection(file) {
+  const geojson = readJson(file);
+  if (!Array.isArray(geojson.features)) throw new Error(`${file} has no features array`);
+  return geojson;
+}
+
+function readFeatures(file) {
+  return readFeatureCollection(file).features;
+}
+
+function withColor(props) {
+  return props.color ? props : { ...props, color: FloorplanSchema.CATEGORY_COLORS[props.category] };
+}
+
+// Hands out ids, suffixing repeats (g_elevator, g_elevator_2)
+function createIdAllocator() {
+  const used = new Map();
+  return (base) => {
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  };
+}
+
+// ===== Stamping =====
+function stampFloorFeature(feature, floor) {
+  const props = feature.properties;
+  const top = floor.elevation + (props.height !== undefined ? props.height : floor.height);
+  return {
+    ...feature,
+    properties: withColor({
+      ...props,
+      level: floor.id,
+      height: top,
+      base_height: floor.elevation + (props.base_height || 0),
+    }),
+  };
+}
+
+// Same rule the app used to apply at load time: low kerbs, plus full-height
+// walls where named "wall_extrude"
+function stampWall(feature) {
+  const props = feature.properties || {};
+  return {
+    ...feature,
+    properties: {
+      ...props,
+      category: 'wall',
+      level: -1,
+      height: props.name === 'wall_extrude' ? WALL_EXTRUDE_HEIGHT_M : WALL_HEIGHT_M,
+      base_height: 0,
+      color: props.color || FloorplanSchema.CATEGORY_COLORS.wall,
+      description: 'Building structure',
+    },
+  };
+}
+
+function stampStructure(feature) {
+  const props = feature.properties || {};
+  return {
+    ...feature,
+    properties: withColor({ height: 0, base_height: 0, ...props, level: -1 }),
+  };
+}
+
+// An elevator/stairs/escalator drawn with the same name and footprint on
+// every floor becomes one level -1 feature spanning the whole building
+function mergeShafts(entries, floors) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const props = entry.feature.properties;
+    if (!VERTICAL_CATEGORIES.includes(props.category)) return;
+    const key = `${props.category}|${props.name}|${JSON.stringify(entry.feature.geometry)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  const shafts = [];
+  const merged = new Set();
+  groups.forEach((group) => {
+    if (!floors.every((floor) => group.some((entry) => entry.floor === floor))) return;
+    group.forEach((entry) => merged.add(entry));
+
+    // Properties from lower floors win (nav_node is usually on the ground floor)
+    const props = Object.assign({}, ...group.map((entry) => entry.feature.properties).reverse());
+    const bottom = Math.min(...floors.map((floor) => floor.elevation));
+    const top = Math.max(...floors.map((floor) => floor.elevation + floor.height));
+    shafts.push({
+      feature: { ...group[0].feature, properties: withColor({ ...props, level: -1, height: top, base_height: bottom }) },
+      origins: group.map((entry) => entry.feature),
+    });
+  });
+
+  return { shafts, rest: entries.filter((entry) => !merged.has(entry)) };
+}
+
+// ===== Build =====
+// Returns { geojson, skipped, issues, floorFiles, origins }: floorFiles are the
+// parsed floor files ({ file, geojson }) and origins maps each built floor
+// feature to the floor file features it came from (lowest floor first). Paths
+// in the manifest are relative to it.
+function buildFloorplan(manifest, options = {}) {
+  const dir = options.dir || '.';
+  const resolve = (file) => path.join(dir, file);
+  if (!Array.isArray(manifest.floors) || manifest.floors.length === 0) throw new Error('Manifest has no floors');
+
+  const floors = manifest.floors.map((floor) => {
+    if (!floor.source) throw new Error(`Floor ${floor.id} has no source file`);
+    return { ...floor, id: Number(floor.id), elevation: Number(floor.elevation), height: Number(floor.height) };
+  });
+
+  const skipped = [];
+  const floorFiles = floors.map((floor) => ({ file: resolve(floor.source), geojson: readFeatureCollection(resolve(floor.source)) }));
+  const entries = floors.flatMap((floor, index) =>
+    floorFiles[index].geojson.features
+      .filter((feature) => {
+        const props = feature.properties || {};
+        if (props.category) return true;
+        skipped.push({ source: floor.source, name: props.name, type: props.type });
+        return false;
+      })
+      .map((feature) => ({ feature, floor }))
+  );
+  const { shafts, rest } = mergeShafts(entries, floors);
+
+  const allocate = createIdAllocator();
+  const structure = (manifest.structure || []).flatMap((file) => readFeatures(resolve(file))).map(stampStructure);
+  const walls = (manifest.walls || []).flatMap((file) => readFeatures(resolve(file))).map(stampWall);
+
+  const origins = new Map();
+  const features = [
+    ...structure.map((f) => ({ ...f, id: allocate(`all_${slugify(f.properties.name || f.properties.category)}`) })),
+    ...shafts.map(({ feature, origins: sources }) => {
+      const built = { ...feature, id: allocate(`all_${slugify(feature.properties.name)}`) };
+      origins.set(built, sources);
+      return built;
+    }),
+    ...rest.map(({ feature, floor }) => {
+      const stamped = stampFloorFeature(feature, floor);
+      const name = stamped.properties.name || stamped.properties.category;
+      const built = { ...stamped, id: allocate(`${levelPrefix(floor.id)}_${slugify(name)}`) };
+      origins.set(built, [feature]);
+      return built;
+    }),
+    ...walls.map((f, index) => ({ ...f, id: `wall_${index}` })),
+  ];
+
+  const geojson = {
+    type: 'FeatureCollection',
+    floors: floors.map(({ source, ...floor }) => floor),
+    features,
+  };
+  if (options.navGraph) geojson.navGraph = options.navGraph;
+
+  const issues = FloorplanSchema.validateFeatures(features, {
+    floors: floors.map((floor) => floor.id),
+    source: manifest.output,
+  });
+  return { geojson, skipped, issues, floorFiles, origins };
+}
+
+// ===== Navigation Graph =====
+// Regenerates the navGraph of a build with build_navgraph.js and points each
+// floor file feature at its new node (a shaft's lowest-floor copy stands for
+// the whole shaft). Links to nodes the new graph lacks are dropped. Returns
+// the graph and the floor files that changed; nothing is written.
+function regenerateNavGraph(build, previousGraph, keepIds, log = () => {}) {
+  const { graph, links, inEnvelope } = generateNavGraph(build.geojson, { log });
+  const navGraph = mergeExternalNodes(graph, previousGraph, inEnvelope, keepIds);
+
+  const before = build.floorFiles.map(({ geojson }) => JSON.stringify(geojson));
+  links.forEach((nodeId, feature) => {
+    const [source] = build.origins.get(feature) || [];
+    if (source) source.properties.nav_node = nodeId;
+  });
+  clearStaleLinks(build.floorFiles.flatMap(({ geojson }) => geojson.features), navGraph).forEach((name) =>
+    log(`  unlinked   "${name}": its nav_node was removed (router will use the nearest node)`)
+  );
+
+  const changed = build.floorFiles.filter(({ geojson }, index) => JSON.stringify(geojson) !== before[index]);
+  return { navGraph, changed };
+}
+
+// ===== CLI =====
+function parseArgs(argv) {
+  const args = { manifest: DEFAULT_MANIFEST, out: null, navgraph: false, check: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--navgraph') args.navgraph = true;
+    else if (arg === '--check') args.check = true;
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (!arg.startsWith('--')) args.manifest = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (args.out === undefined) throw new Error('--out needs a file name');
+  if (args.navgraph && args.check) throw new Error('--navgraph rewrites the floor files; it cannot be combined with --check');
+  return args;
+}
+
+function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const manifest = readJson(args.manifest);
+    const dir = path.dirname(args.manifest);
+    const outPath = args.out || (manifest.output && path.join(dir, manifest.output));
+    if (!outPath) throw new Error(`${args.manifest} has no "output" and no --out was given`);
+
+    const previousRaw = fs.existsSync(outPath) ? fs.readFileSync(outPath, 'utf8') : null;
+    const previous = previousRaw ? JSON.parse(previousRaw) : {};
+    let navGraph = previous.navGraph;
+
+    if (args.navgraph) {
+      const regenerated = regenerateNavGraph(buildFloorplan(manifest, { dir }), navGraph, venueConnectorNodes(outPath), console.log);
+      navGraph = regenerated.navGraph;
+      console.log(`Generated ${Object.keys(navGraph.nodes).length} nodes and ${navGraph.edges.length} edges.`);
+      if (args.dryRun) {
+        console.log(`\nDry run: no files written (${regenerated.changed.length} floor file(s) would get new nav_node links).`);
+        return;
+      }
+      regenerated.changed.forEach(({ file, geojson }) => {
+        fs.writeFileSync(file, JSON.stringify(geojson, null, 2) + '\n');
+        console.log(`Wrote nav_node links to ${file}.`);
+      });
+      console.log('');
+    }
+
+    const { geojson, skipped, issues } = buildFloorplan(manifest, { dir, navGraph });
+
+    skipped.forEach(({ source, name, type }) =>
+      console.log(`  skipped    ${source}: "${name}"${type ? ` (${type})` : ''} has no category`)
+    );
+    issues.forEach((issue) => {
+      const line = `${issue.severity === 'error' ? 'ERROR' : 'WARN '}  ${issue.code.padEnd(20)} ${FloorplanSchema.formatIssue(issue)}`;
+      if (issue.severity === 'error') console.error(line);
+      else console.warn(line);
+    });
+    geojson.floors.forEach((floor) => {
+      const count = geojson.features.filter((f) => f.properties.level === floor.id).length;
+      console.log(`${floor.label.padEnd(4)} ${floor.name}: ${count} feature(s)`);
+    });
+    console.log(`${geojson.features.filter((f) => f.properties.level === -1).length} feature(s) on every floor.`);
+
+    if (issues.some((issue) => issue.severity === 'error')) {
+      console.error(`\nNot writing ${outPath}: fix the errors above in the floor files.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const output = JSON.stringify(geojson, null, 2) + (!previousRaw || previousRaw.endsWith('\n') ? '\n' : '');
+    if (args.check) {
+      if (output !== previousRaw) {
+        console.error(`\n${outPath} is out of date; run "node build_floorplan.js".`);
+        process.exitCode = 1;
+      } else {
+        console.log(`\n${outPath} is up to date.`);
+      }
+      return;
+    }
+    if (args.dryRun) {
+      console.log('\nDry run: no files written.');
+      return;
+    }
+
+    fs.writeFileSync(outPath, output);
+    console.log(`\nWrote ${geojson.features.length} feature(s) to ${outPath}.`);
+  } catch (error) {
+    console.error('Error building floorplan:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { buildFloorplan, regenerateNavGraph };
@@ -0,0 +1,582 @@
+/**
+ * Builds the routing graph (navGraph) from floor geometry
+ *
+ * Usage: node build_navgraph.js [input.geojson] [--out file] [--cell 0.5] [--dry-run]
+ *
+ * For every level the walkable area (corridor/walkway polygons, or the building
+ * envelope when a level has none) is rasterised, units are cut out, and the
+ * remaining free space is thinned to a one-cell skeleton. The skeleton becomes
+ * the corridor nodes, each unit gets an entrance node on its boundary, and
+ * elevator/stairs/escalator features are linked vertically between levels.
+ * Each unit's `nav_node` is pointed at its generated entrance node, and each
+ * Point amenity's at the nearest corridor node on its level.
+ *
+ * Hand-placed nodes outside the building, and any node a venue.json connector
+ * joins, are kept. Features whose `nav_node` no longer exists afterwards lose
+ * the link, so the app routes them from the nearest node.
+ *
+ * Files generated by build_floorplan.js are refused (except with --dry-run):
+ * links written there would be lost on the next build. Use
+ * `node build_floorplan.js --navgraph`, which writes them into the floor files.
+ */
+const fs = require('fs');
+const path = require('path');
+const geometry = require('./geometry');
+
+const DEFAULT_INPUT = 'mall-floorplan.geojson';
+const VENUE_FILE = 'venue.json';
+const WALKABLE_CATEGORIES = ['corridor', 'walkway'];
+const VERTICAL_CATEGORIES = ['elevator', 'stairs', 'escalator'];
+const NON_UNIT_CATEGORIES = ['corridor', 'walkway', 'outline', 'wall', 'building', ...VERTICAL_CATEGORIES];
+
+// ===== Helpers =====
+function levelPrefix(level) {
+  if (level === 0) return 'g';
+  return level > 0 ? `f${level}` : `b${-level}`;
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function roundCoord(coord) {
+  return coord.map((value) => Number(value.toFixed(9)));
+}
+
+function isPolygon(feature) {
+  return feature.geometry && (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon');
+}
+
+function verticalType(props) {
+  if (props.isElevator) return 'elevator';
+  return VERTICAL_CATEGORIES.includes(props.category) ? props.category : null;
+}
+
+// Named Point features other than entrances and routing sketches
+function isAmenityPoint(feature) {
+  const props = feature.properties;
+  return feature.geometry.type === 'Point' && Boolean(props.name) && Boolean(props.category) && props.category !== 'entrance';
+}
+
+// Features on level -1 (structure, elevators) apply to every level
+function onLevel(feature, level) {
+  const featureLevel = Number(feature.properties.level);
+  return featureLevel === level || featureLevel === -1;
+}
+
+// Project every ring of a Polygon/MultiPolygon into local metres
+function projectPolygons(geom, projection) {
+  return geometry.polygonsOf(geom).map((polygon) =>
+    polygon.map((ring) => ring.map(projection.toLocal))
+  );
+}
+
+function nearestNode(point, nodes) {
+  let best = null;
+  let bestDistance = Infinity;
+  nodes.forEach((node) => {
+    const d = Math.hypot(node.point[0] - point[0], node.point[1] - point[1]);
+    if (d < bestDistance) {
+      best = node;
+      bestDistance = d;
+    }
+  });
+  return best;
+}
+
+// ===== Rasterise Free Space =====
+function rasterise(walkable, obstacles, cellSize) {
+  const xs = walkable.flatMap((polygon) => polygon[0].map((p) => p[0]));
+  const ys = walkable.flatMap((polygon) => polygon[0].map((p) => p[1]));
+  const minX = Math.min(...xs) - cellSize;
+  const minY = Math.min(...ys) - cellSize;
+  const cols = Math.ceil((Math.max(...xs) + cellSize - minX) / cellSize) + 1;
+  const rows = Math.ceil((Math.max(...ys) + cellSize - minY) / cellSize) + 1;
+
+  const cellCenter = (r, c) => [minX + (c + 0.5) * cellSize, minY + (r + 0.5) * cellSize];
+  const grid = [];
+
+  for (let r = 0; r < rows; r++) {
+    grid.push([]);
+    for (let c = 0; c < cols; c++) {
+      const point = cellCenter(r, c);
+      const free =
+        walkable.some((polygon) => geometry.pointInPolygon(point, polygon)) &&
+        !obstacles.some((polygon) => geometry.pointInPolygon(point, polygon));
+      grid[r].push(free ? 1 : 0);
+    }
+  }
+
+  return { grid, rows, cols, cellCenter };
+}
+
+// ===== Zhang-Suen Thinning =====
+function thin(grid, rows, cols) {
+  const at = (r, c) => (r >= 0 && r < rows && c >= 0 && c < cols ? grid[r][c] : 0);
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (let pass = 0; pass < 2; pass++) {
+      const toClear = [];
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+          if (!grid[r][c]) continue;
+          // Neighbours clockwise from north: P2..P9
+          const p = [at(r - 1, c), at(r - 1, c + 1), at(r, c + 1), at(r + 1, c + 1),
+            at(r + 1, c), at(r + 1, c - 1), at(r, c - 1), at(r - 1, c - 1)];
+          const count = p.reduce((sum, v) => sum + v, 0);
+          if (count < 2 || count > 6) continue;
+
+          let transitions = 0;
+          for (let i = 0; i < 8; i++) {
+            if (p[i] === 0 && p[(i + 1) % 8] === 1) transitions++;
+          }
+          if (transitions !== 1) continue;
+
+          if (pass === 0 && (p[0] * p[2] * p[4] !== 0 || p[2] * p[4] * p[6] !== 0)) continue;
+          if (pass === 1 && (p[0] * p[2] * p[6] !== 0 || p[0] * p[4] * p[6] !== 0)) continue;
+          toClear.push([r, c]);
+        }
+      }
+      toClear.forEach(([r, c]) => (grid[r][c] = 0));
+      if (toClear.length > 0) changed = true;
+    }
+  }
+  return grid;
+}
+
+// ===== Douglas-Peucker Simplification =====
+function simplify(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  let maxDistance = 0;
+  let index = 0;
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const closest = geometry.closestPointOnSegment(points[i], first, last);
+    const d = Math.hypot(points[i][0] - closest[0], points[i][1] - closest[1]);
+    if (d > maxDistance) {
+      maxDistance = d;
+      index = i;
+    }
+  }
+
+  if (maxDistance <= tolerance) return [first, last];
+  return [...simplify(points.slice(0, index + 1), tolerance).slice(0, -1), ...simplify(points.slice(index), tolerance)];
+}
+
+// ===== Skeleton to Graph =====
+// Returns corridor nodes ({ point }) and edges as index pairs
+function skeletonGraph(grid, rows, cols, cellCenter, cellSize, minSpur) {
+  const key = (r, c) => r * cols + c;
+  const neighbours = (r, c) => {
+    const result = [];
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if ((dr || dc) && grid[r + dr] && grid[r + dr][c + dc]) result.push([r + dr, c + dc]);
+      }
+    }
+    return result;
+  };
+
+  const pixels = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) if (grid[r][c]) pixels.push([r, c]);
+  }
+  if (pixels.length === 0) return { nodes: [], edges: [] };
+
+  // Junctions and endpoints become graph nodes; adjacent junction pixels merge
+  const isKey = new Set(pixels.filter(([r, c]) => neighbours(r, c).length !== 2).map(([r, c]) => key(r, c)));
+  if (isKey.size === 0) isKey.add(key(...pixels[0])); // A closed loop
+
+  const nodeOf = new Map();
+  const nodes = [];
+  pixels.forEach(([r, c]) => {
+    if (!isKey.has(key(r, c)) || nodeOf.has(key(r, c))) return;
+    const cluster = [[r, c]];
+    nodeOf.set(key(r, c), nodes.length);
+    for (let i = 0; i < cluster.length; i++) {
+      neighbours(...cluster[i]).forEach(([nr, nc]) => {
+        if (isKey.has(key(nr, nc)) && !nodeOf.has(key(nr, nc))) {
+          nodeOf.set(key(nr, nc), nodes.length);
+          cluster.push([nr, nc]);
+        }
+      });
+    }
+    const centers = cluster.map(([cr, cc]) => cellCenter(cr, cc));
+    nodes.push({
+      point: [
+        centers.reduce((sum, p) => sum + p[0], 0) / centers.length,
+        centers.reduce((sum, p) => sum + p[1], 0) / centers.length,
+      ],
+    });
+  });
+
+  // Trace the chains between key pixels
+  const edges = [];
+  const walked = new Set();
+  pixels.forEach(([r, c]) => {
+    if (!isKey.has(key(r, c))) return;
+    neighbours(r, c).forEach(([nr, nc]) => {
+      if (isKey.has(key(nr, nc))) return;
+      const chain = [cellCenter(r, c)];
+      let previous = [r, c];
+      let current = [nr, nc];
+
+      while (!isKey.has(key(...current))) {
+        if (walked.has(key(...current))) return;
+        walked.add(key(...current));
+        chain.push(cellCenter(...current));
+        // Chain pixels have exactly two neighbours: where we came from and where we go
+        const next = neighbours(...current).find(([ar, ac]) => key(ar, ac) !== key(...previous));
+        if (!next) return;
+        previous = current;
+        current = next;
+      }
+
+      const startNode = nodeOf.get(key(r, c));
+      const endNode = nodeOf.get(key(...current));
+      chain.push(cellCenter(...current));
+
+      // Bends along the chain become intermediate nodes
+      const simplified = simplify(chain, cellSize * 0.75);
+      let fromIndex = startNode;
+      simplified.slice(1, -1).forEach((point) => {
+        nodes.push({ point });
+        edges.push([fromIndex, nodes.length - 1]);
+        fromIndex = nodes.length - 1;
+      });
+      if (fromIndex !== endNode) edges.push([fromIndex, endNode]);
+    });
+  });
+
+  // Adjacent key clusters that touch directly
+  pixels.forEach(([r, c]) => {
+    if (!isKey.has(key(r, c))) return;
+    neighbours(r, c).forEach(([nr, nc]) => {
+      const a = nodeOf.get(key(r, c));
+      const b = nodeOf.get(key(nr, nc));
+      if (b !== undefined && a !== b && !edges.some(([x, y]) => (x === a && y === b) || (x === b && y === a))) {
+        edges.push([a, b]);
+      }
+    });
+  });
+
+  // Two chains can join the same pair of nodes once bends are simplified away
+  const seen = new Set();
+  const unique = edges.filter(([a, b]) => {
+    const pair = a < b ? `${a}-${b}` : `${b}-${a}`;
+    if (seen.has(pair)) return false;
+    seen.add(pair);
+    return true;
+  });
+
+  return pruneSpurs(nodes, unique, minSpur);
+}
+
+// Thinning leaves short whiskers in corners; drop dead ends shorter than minSpur
+function pruneSpurs(nodes, edges, minSpur) {
+  const degree = (index) => edges.filter(([a, b]) => a === index || b === index).length;
+  const length = ([a, b]) => Math.hypot(nodes[a].point[0] - nodes[b].point[0], nodes[a].point[1] - nodes[b].point[1]);
+
+  const kept = edges.filter(([a, b]) => {
+    const deadEnd = degree(a) === 1 ? b : degree(b) === 1 ? a : null;
+    return deadEnd === null || degree(deadEnd) < 3 || length([a, b]) >= minSpur;
+  });
+
+  const used = new Set(kept.flat());
+  const remap = new Map();
+  const keptNodes = [];
+  nodes.forEach((node, index) => {
+    if (used.has(index) || kept.length === 0) {
+      remap.set(index, keptNodes.length);
+      keptNodes.push(node);
+    }
+  });
+  return { nodes: keptNodes, edges: kept.map(([a, b]) => [remap.get(a), remap.get(b)]) };
+}
+
+// ===== Entrance Placement =====
+// Explicit entrance points near the unit win; otherwise the point of the unit
+// boundary closest to the corridor skeleton.
+function findEntrance(unitPolygons, entrancePoints, corridorNodes, tolerance) {
+  const outerRings = unitPolygons.map((polygon) => polygon[0]);
+  const boundaryDistance = (point) => {
+    let best = { distance: Infinity, point: null };
+    outerRings.forEach((ring) => {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const closest = geometry.closestPointOnSegment(point, ring[i], ring[i + 1]);
+        const d = Math.hypot(point[0] - closest[0], point[1] - closest[1]);
+        if (d < best.distance) best = { distance: d, point: closest };
+      }
+    });
+    return best;
+  };
+
+  const explicit = entrancePoints.find((point) => boundaryDistance(point).distance <= tolerance);
+  if (explicit) return explicit;
+
+  let best = { distance: Infinity, point: null };
+  corridorNodes.forEach((node) => {
+    const candidate = boundaryDistance(node.point);
+    if (candidate.distance < best.distance) best = candidate;
+  });
+  return best.point;
+}
+
+// ===== Generate Graph =====
+function generateNavGraph(geojson, options = {}) {
+  const cellSize = options.cellSize || 0.5;
+  const minSpur = options.minSpur || 1.0;
+  const features = geojson.features.filter((f) => f.properties && f.geometry);
+  const log = options.log || (() => {});
+
+  const outline = features.find((f) => f.properties.isOutline || f.properties.category === 'outline');
+  const origin = outline
+    ? geometry.centroid(outline.geometry)
+    : geometry.centroid(features.find(isPolygon).geometry);
+  const projection = geometry.createProjection(origin);
+
+  // The envelope decides which features belong to this building
+  const envelope = outline
+    ? [[geometry.convexHull(geometry.polygonsOf(outline.geometry).flatMap((p) => p[0]).map(projection.toLocal))]]
+    : null;
+  const inEnvelope = (coord) =>
+    !envelope || envelope.some((polygon) => geometry.pointInPolygon(projection.toLocal(coord), polygon));
+
+  const levels = [...new Set(features.map((f) => Number(f.properties.level)).filter((l) => l >= 0))].sort((a, b) => a - b);
+  const graph = { nodes: {}, edges: [] };
+  const verticalNodes = new Map(); // feature -> [{ level, id }]
+  const links = new Map(); // feature -> nav_node id
+  const usedIds = new Set();
+
+  const addNode = (baseId, point, level, extra = {}) => {
+    let id = baseId;
+    for (let n = 2; usedIds.has(id); n++) id = `${baseId}_${n}`;
+    usedIds.add(id);
+    graph.nodes[id] = { coords: roundCoord(projection.toLngLat(point)), floor: level, ...extra };
+    return id;
+  };
+
+  levels.forEach((level) => {
+    const prefix = levelPrefix(level);
+    const levelFeatures = features.filter((f) => onLevel(f, level));
+
+    let walkable = levelFeatures
+      .filter((f) => isPolygon(f) && (WALKABLE_CATEGORIES.includes(f.properties.category) || f.properties.type === 'walkable_area'))
+      .flatMap((f) => projectPolygons(f.geometry, projection));
+    if (walkable.length === 0) {
+      if (!envelope) {
+        log(`Level ${level}: no corridor polygons and no building outline, skipped`);
+        return;
+      }
+      log(`Level ${level}: no corridor polygons, using the building envelope`);
+      walkable = envelope;
+    }
+
+    const units = levelFeatures.filter((f) =>
+      isPolygon(f) &&
+      Number(f.properties.level) === level &&
+      f.properties.name &&
+      !NON_UNIT_CATEGORIES.includes(f.properties.category) &&
+      f.properties.type !== 'walkable_area' &&
+      !f.properties.isOutline
+    );
+    const outside = units.filter((f) => !inEnvelope(geometry.labelPoint(f.geometry)));
+    outside.forEach((f) => log(`Level ${level}: "${f.properties.name}" is outside the building outline, skipped`));
+
+    const verticals = levelFeatures.filter((f) => isPolygon(f) && verticalType(f.properties));
+    const obstacles = [...units.filter((f) => !outside.includes(f)), ...verticals, ...levelFeatures.filter((f) => isPolygon(f) && f.properties.category === 'wall' && Number(f.properties.level) === level)]
+      .flatMap((f) => projectPolygons(f.geometry, projection));
+
+    // Corridor skeleton
+    const { grid, rows, cols, cellCenter } = rasterise(walkable, obstacles, cellSize);
+    thin(grid, rows, cols);
+    const skeleton = skeletonGraph(grid, rows, cols, cellCenter, cellSize, minSpur);
+    if (skeleton.nodes.length === 0) {
+      log(`Level ${level}: no walkable space left after removing units, skipped`);
+      return;
+    }
+
+    const corridorIds = skeleton.nodes.map((node, i) => addNode(`${prefix}_walk_${i + 1}`, node.point, level));
+    const corridorNodes = skeleton.nodes.map((node, i) => ({ ...node, id: corridorIds[i] }));
+    skeleton.edges.forEach(([a, b]) => graph.edges.push([corridorIds[a], corridorIds[b]]));
+
+    // Unit entrances
+    const entrancePoints = levelFeatures
+      .filter((f) => f.geometry.type === 'Point' && (f.properties.type === 'entrance' || f.properties.category === 'entrance'))
+      .map((f) => projection.toLocal(f.geometry.coordinates));
+
+    units.filter((f) => !outside.includes(f)).forEach((unit) => {
+      const entrance = findEntrance(projectPolygons(unit.geometry, projection), entrancePoints, corridorNodes, 1.5);
+      if (!entrance) return;
+      const id = addNode(`${prefix}_${slugify(unit.properties.name)}`, entrance, level, { name: unit.properties.name });
+      graph.edges.push([id, nearestNode(entrance, corridorNodes).id]);
+      links.set(unit, id);
+    });
+
+    // Point amenities (ATMs, first aid, ...) stand in the corridor: route to
+    // the nearest corridor node
+    const amenities = levelFeatures.filter((f) => isAmenityPoint(f) && Number(f.properties.level) === level);
+    amenities.forEach((feature) => {
+      links.set(feature, nearestNode(projection.toLocal(feature.geometry.coordinates), corridorNodes).id);
+    });
+
+    // Vertical connector landings
+    verticals.forEach((feature) => {
+      const type = verticalType(feature.properties);
+      const point = projection.toLocal(geometry.labelPoint(feature.geometry));
+      const id = addNode(`${prefix}_${type}`, point, level);
+      graph.edges.push([id, nearestNode(point, corridorNodes).id]);
+      if (!verticalNodes.has(feature)) verticalNodes.set(feature, []);
+      verticalNodes.get(feature).push({ level, id, type });
+    });
+
+    log(`Level ${level}: ${corridorIds.length} corridor nodes, ${units.length - outside.length} units, ` +
+      `${amenities.length} amenities, ${verticals.length} vertical connectors`);
+  });
+
+  // Link each connector's landings on consecutive levels
+  verticalNodes.forEach((landings, feature) => {
+    landings.sort((a, b) => a.level - b.level);
+    links.set(feature, landings[0].id);
+    for (let i = 1; i < landings.length; i++) {
+      graph.edges.push([landings[i - 1].id, landings[i].id, { type: landings[i].type }]);
+    }
+  });
+
+  return { graph, links, inEnvelope };
+}
+
+// ===== Merge With Existing Graph =====
+// Hand-placed nodes outside the building (e.g. other structures reached from
+// the mall) and the nodes in `keepIds` (venue connector ends) survive
+// regeneration. Their edges into the old corridor graph are re-attached to the
+// nearest generated node on the same floor.
+function mergeExternalNodes(generated, previous, inEnvelope, keepIds = []) {
+  if (!previous || !previous.nodes) return generated;
+
+  const kept = Object.keys(previous.nodes).filter((id) => keepIds.includes(id) || !inEnvelope(previous.nodes[id].coords));
+  const generatedIds = Object.keys(generated.nodes);
+  const nearestGenerated = (coords, floor) => {
+    let best = null;
+    let bestDistance = Infinity;
+    generatedIds.forEach((id) => {
+      const node = generated.nodes[id];
+      if (node.floor !== floor) return;
+      const d = geometry.distanceMeters(coords, node.coords);
+      if (d < bestDistance) {
+        best = id;
+        bestDistance = d;
+      }
+    });
+    return best;
+  };
+
+  kept.forEach((id) => {
+    if (generated.nodes[id]) throw new Error(`Node id "${id}" exists in both the generated and the hand-written graph`);
+    generated.nodes[id] = previous.nodes[id];
+  });
+
+  (previous.edges || []).forEach((edge) => {
+    const ends = Array.isArray(edge) ? [edge[0], edge[1]] : [edge.from, edge.to];
+    const keptEnds = ends.filter((id) => kept.includes(id));
+    if (keptEnds.length === 0) return;
+
+    const mapped = ends.map((id) => {
+      if (kept.includes(id)) return id;
+      const old = previous.nodes[id];
+      return old ? nearestGenerated(old.coords, old.floor) : null;
+    });
+    if (mapped.some((id) => !id) || mapped[0] === mapped[1]) return;
+
+    if (Array.isArray(edge)) generated.edges.push([mapped[0], mapped[1], ...edge.slice(2)]);
+    else generated.edges.push({ ...edge, from: mapped[0], to: mapped[1] });
+  });
+
+  return generated;
+}
+
+// Node ids joined by the connectors of the venue.json next to `file`, if any
+function venueConnectorNodes(file) {
+  const venueFile = path.join(path.dirname(file), VENUE_FILE);
+  if (!fs.existsSync(venueFile)) return [];
+  const venue = JSON.parse(fs.readFileSync(venueFile, 'utf8'));
+  return (venue.connectors || []).flatMap((edge) => (Array.isArray(edge) ? [edge[0], edge[1]] : [edge.from, edge.to]));
+}
+
+// The build_floorplan.js manifest (*.build.json next to `file`) that outputs
+// `file`, if any
+function findBuildManifest(file) {
+  const dir = path.dirname(file);
+  return fs.readdirSync(dir).filter((name) => name.endsWith('.build.json')).find((name) => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    return Boolean(manifest.output) && path.resolve(dir, manifest.output) === path.resolve(file);
+  }) || null;
+}
+
+// Drops `nav_node` links to nodes the graph no longer has; returns the names
+function clearStaleLinks(features, graph) {
+  const cleared = [];
+  features.forEach((feature) => {
+    const props = feature.properties || {};
+    if (!props.nav_node || graph.nodes[props.nav_node]) return;
+    cleared.push(props.name);
+    delete props.nav_node;
+  });
+  return cleared;
+}
+
+// ===== CLI =====
+function parseArgs(argv) {
+  const args = { input: DEFAULT_INPUT, out: null, cellSize: 0.5, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--cell') args.cellSize = Number(argv[++i]);
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (!arg.startsWith('--')) args.input = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!(args.cellSize > 0)) throw new Error('--cell must be a positive number of metres');
+  return args;
+}
+
+function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const buildManifest = findBuildManifest(args.input);
+    if (buildManifest && !args.dryRun) {
+      throw new Error(`${args.input} is built from ${buildManifest}; run "node build_floorplan.js --navgraph" ` +
+        'so the nav_node links go into the floor files');
+    }
+    const geojson = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+
+    const { graph, links, inEnvelope } = generateNavGraph(geojson, { cellSize: args.cellSize, log: console.log });
+    geojson.navGraph = mergeExternalNodes(graph, geojson.navGraph, inEnvelope, venueConnectorNodes(args.input));
+    links.forEach((nodeId, feature) => (feature.properties.nav_node = nodeId));
+    clearStaleLinks(geojson.features, geojson.navGraph).forEach((name) =>
+      console.log(`  unlinked   "${name}": its nav_node was removed (router will use the nearest node)`)
+    );
+
+    console.log(`Generated ${Object.keys(geojson.navGraph.nodes).length} nodes and ${geojson.navGraph.edges.length} edges.`);
+    if (args.dryRun) {
+      console.log(JSON.stringify(geojson.navGraph, null, 2));
+      return;
+    }
+
+    const outPath = args.out || args.input;
+    fs.writeFileSync(outPath, JSON.stringify(geojson, null, 2));
+    console.log(`Wrote navGraph to ${outPath}.`);
+  } catch (error) {
+    console.error('Error building navGraph:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { generateNavGraph, mergeExternalNodes, venueConnectorNodes, clearStaleLinks, levelPrefix, slugify };
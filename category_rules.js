@@ -0,0 +1,48 @@
+/**
+ * Category rules engine shared by the browser app and the Node data tools
+ * Applies the ordered name-keyword rules in category_rules.json to features.
+ *
+ * Browser: <script src="category_rules.js"> exposes window.CategoryRules
+ * Node:    const CategoryRules = require('./category_rules');
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CategoryRules = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  function matches(name, keywords) {
+    return keywords.some((keyword) => name.includes(keyword.toLowerCase()));
+  }
+
+  // ===== Categorise a Name =====
+  // Defaults, then the first matching rule, then each of its matching variants
+  function categorise(name, ruleset) {
+    const lowerName = String(name || "").toLowerCase();
+    const result = { ...ruleset.defaults };
+
+    const rule = ruleset.rules.find((r) => matches(lowerName, r.match));
+    if (rule) {
+      Object.assign(result, rule.set);
+      (rule.variants || [])
+        .filter((variant) => matches(lowerName, variant.match))
+        .forEach((variant) => Object.assign(result, variant.set));
+    }
+    return result;
+  }
+
+  // ===== Categorise Features =====
+  // Keeps every other property but overwrites the ones the rules set
+  function applyRules(features, ruleset) {
+    return features.map((feature) => ({
+      ...feature,
+      properties: {
+        ...(feature.properties || {}),
+        ...categorise(feature.properties && feature.properties.name, ruleset),
+      },
+    }));
+  }
+
+  return { categorise, applyRules };
+});
@@ -0,0 +1,150 @@
+/**
+ * Downloads the third-party assets the app otherwise loads from CDNs into
+ * vendor/, so it runs with no internet (kiosks, patchy mall Wi-Fi): MapLibre GL,
+ * the web fonts and the glyph PBFs the map style uses for text.
+ *
+ * Usage: node fetch_offline_assets.js [--out vendor] [--force]
+ *
+ * vendor/ is not committed (see .gitignore): the Pages workflow
+ * (.github/workflows/static.yml) runs this before every deploy, and other
+ * deployments should too. Locally, run it to try the offline mode. index.html
+ * and the map style use the local copies, falling back to the CDNs where they
+ * are missing, and sw.js precaches every file listed in vendor/manifest.json.
+ *
+ * Existing files are kept unless --force is given. Glyph ranges the server
+ * doesn't have are stored empty, so MapLibre finds (no) glyphs instead of a 404.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUT = 'vendor';
+const MAPLIBRE_VERSION = '3.6.2';
+const MAPLIBRE_URL = `https://unpkg.com/maplibre-gl@${MAPLIBRE_VERSION}/dist`;
+const MAPLIBRE_FILES = ['maplibre-gl.js', 'maplibre-gl.css'];
+const FONTS_CSS_URL = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&family=Teko:wght@300;500;700&family=Exo+2:wght@400;600;700&display=swap';
+const GLYPHS_URL = 'https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf';
+const FONTSTACKS = ['Open Sans Semibold'];
+const GLYPH_RANGE_COUNT = 256; // 0-255 ... 65280-65535
+const PARALLEL_DOWNLOADS = 4;
+// Google Fonts only serves woff2 to browsers it recognises
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+// ===== Helpers =====
+async function download(url, options = {}) {
+  const response = await fetch(url, { headers: options.headers });
+  if (response.status === 404 && options.allowMissing) return null;
+  if (!response.ok) throw new Error(`Could not download ${url} (HTTP ${response.status})`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+function writeFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, data);
+}
+
+// Runs tasks a few at a time
+async function runLimited(tasks, limit) {
+  const queue = [...tasks];
+  const workers = Array.from({ length: limit }, async () => {
+    while (queue.length > 0) await queue.shift()();
+  });
+  await Promise.all(workers);
+}
+
+function glyphRanges() {
+  return Array.from({ length: GLYPH_RANGE_COUNT }, (_, i) => `${i * 256}-${i * 256 + 255}`);
+}
+
+// ===== Assets =====
+// Each returns the files it wrote (or kept), relative to the output directory
+async function fetchMapLibre(out, force) {
+  const files = MAPLIBRE_FILES.map((name) => `maplibre-gl/${name}`);
+  await Promise.all(MAPLIBRE_FILES.map(async (name, i) => {
+    const file = path.join(out, files[i]);
+    if (!force && fs.existsSync(file)) return;
+    writeFile(file, await download(`${MAPLIBRE_URL}/${name}`));
+  }));
+  return files;
+}
+
+// The Google Fonts stylesheet, with every font file downloaded next to it
+async function fetchFonts(out, force) {
+  const cssFile = path.join(out, 'fonts/fonts.css');
+  if (!force && fs.existsSync(cssFile)) {
+    const css = fs.readFileSync(cssFile, 'utf8');
+    return ['fonts/fonts.css', ...[...css.matchAll(/url\(([^)]+)\)/g)].map((match) => `fonts/${match[1]}`)];
+  }
+
+  const headers = { 'User-Agent': BROWSER_USER_AGENT };
+  let css = (await download(FONTS_CSS_URL, { headers })).toString('utf8');
+  const urls = [...new Set([...css.matchAll(/url\((https:[^)]+)\)/g)].map((match) => match[1]))];
+  const names = new Map();
+  urls.forEach((url) => {
+    // .../s/teko/v20/LYjY...woff2 -> teko-LYjY...woff2
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    names.set(url, `${segments[1]}-${segments[segments.length - 1]}`);
+  });
+
+  await runLimited(urls.map((url) => async () => {
+    writeFile(path.join(out, 'fonts', names.get(url)), await download(url, { headers }));
+  }), PARALLEL_DOWNLOADS);
+
+  names.forEach((name, url) => {
+    css = css.split(url).join(name);
+  });
+  writeFile(cssFile, css);
+  return ['fonts/fonts.css', ...[...names.values()].map((name) => `fonts/${name}`)];
+}
+
+async function fetchGlyphs(out, force) {
+  const files = [];
+  const tasks = FONTSTACKS.flatMap((fontstack) => glyphRanges().map((range) => async () => {
+    const relative = `glyphs/${fontstack}/${range}.pbf`;
+    files.push(relative);
+    const file = path.join(out, relative);
+    if (!force && fs.existsSync(file)) return;
+    const url = GLYPHS_URL.replace('{fontstack}', encodeURIComponent(fontstack)).replace('{range}', range);
+    writeFile(file, (await download(url, { allowMissing: true })) || Buffer.alloc(0));
+  }));
+  await runLimited(tasks, PARALLEL_DOWNLOADS);
+  return files.sort();
+}
+
+// ===== CLI =====
+function parseArgs(argv) {
+  const args = { out: DEFAULT_OUT, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--force') args.force = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!args.out) throw new Error('--out needs a directory');
+  return args;
+}
+
+async function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    const maplibre = await fetchMapLibre(args.out, args.force);
+    console.log(`MapLibre GL ${MAPLIBRE_VERSION}: ${maplibre.length} file(s)`);
+    const fonts = await fetchFonts(args.out, args.force);
+    console.log(`Fonts: ${fonts.length - 1} font file(s)`);
+    const glyphs = await fetchGlyphs(args.out, args.force);
+    console.log(`Glyphs: ${glyphs.length} range(s) for ${FONTSTACKS.join(', ')}`);
+
+    // Paths are relative to the app root, for sw.js to precache
+    const files = [...maplibre, ...fonts, ...glyphs].map((file) => path.posix.join(args.out, file));
+    const manifest = { maplibre: MAPLIBRE_VERSION, fontstacks: FONTSTACKS, files };
+    writeFile(path.join(args.out, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`\nWrote ${path.join(args.out, 'manifest.json')} (${files.length} files).`);
+  } catch (error) {
+    console.error('Error fetching offline assets:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { fetchMapLibre, fetchFonts, fetchGlyphs };
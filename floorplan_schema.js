@@ -0,0 +1,218 @@
+/**
+ * Floorplan feature schema shared by the browser app and the Node data tools
+ * CATEGORY_COLORS is the registry of allowed categories (and their colors).
+ *
+ * Browser: <script src="floorplan_schema.js"> exposes window.FloorplanSchema
+ * Node:    const FloorplanSchema = require('./floorplan_schema');
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FloorplanSchema = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Category colors for consistent styling
+  const CATEGORY_COLORS = {
+    entrance: "#4A90D9",
+    parking: "#6B7280",
+    elevator: "#9CA3AF",
+    security: "#DC2626",
+    atm: "#059669",
+    store: "#EC4899",
+    corridor: "#F3F4F6",
+    washroom: "#0EA5E9",
+    info: "#6366F1",
+    food: "#F97316",
+    entertainment: "#7C3AED",
+    seating: "#FCD34D",
+    common: "#E8D5B7",
+    building: "#1F2937",
+    // Amenities, usually Point features drawn as icons
+    stall: "#DB2777",
+    fire_extinguisher: "#B91C1C",
+    drinking_water: "#0284C7",
+    first_aid: "#16A34A",
+    // Structure
+    outline: "#334155",
+    wall: "#94A3B8",
+    storage: "#6B7280",
+    object: "#CBD5E1",
+    kiosk: "#FFD700",
+    // Tactical overlay (see category_rules.json)
+    staff: "#F59E0B",
+    furniture: "#A16207",
+    surveillance: "#EF4444",
+    objective: "#10B981",
+    label: "#475569",
+  };
+
+  // Categories that may be left unnamed (wall segments, outlines)
+  const STRUCTURE_CATEGORIES = ["wall", "outline", "building", "corridor"];
+  const GEOMETRY_TYPES = ["Point", "MultiPoint", "LineString", "MultiLineString", "Polygon", "MultiPolygon"];
+  const MAX_HEIGHT_M = 500;
+  const COLOR_PATTERN = /^(#[0-9a-f]{3}|#[0-9a-f]{6}|transparent)$/i;
+
+  // ===== Geometry =====
+  function isPosition(position) {
+    return Array.isArray(position) && position.length >= 2 &&
+      Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+      Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+  }
+
+  function checkRing(ring, where, report) {
+    if (!Array.isArray(ring) || ring.length < 4) {
+      report("error", "bad-ring", `${where} has fewer than 4 positions`);
+      return;
+    }
+    if (!ring.every(isPosition)) {
+      report("error", "bad-coordinates", `${where} has a position that is not a valid [lng, lat]`);
+      return;
+    }
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      report("error", "open-ring", `${where} is not closed (first and last positions differ)`);
+    }
+  }
+
+  function checkLine(line, where, report) {
+    if (!Array.isArray(line) || line.length < 2) {
+      report("error", "bad-line", `${where} has fewer than 2 positions`);
+      return;
+    }
+    if (!line.every(isPosition)) {
+      report("error", "bad-coordinates", `${where} has a position that is not a valid [lng, lat]`);
+    }
+  }
+
+  function checkGeometry(geometry, report) {
+    if (!geometry || !GEOMETRY_TYPES.includes(geometry.type)) {
+      report("error", "bad-geometry", `Geometry must be one of ${GEOMETRY_TYPES.join(", ")}`);
+      return;
+    }
+    if (geometry.type === "Point") {
+      if (!isPosition(geometry.coordinates)) report("error", "bad-coordinates", "Point is not a valid [lng, lat]");
+      return;
+    }
+    if (geometry.type === "MultiPoint") {
+      if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+        report("error", "bad-geometry", "MultiPoint has no coordinates");
+      } else if (!geometry.coordinates.every(isPosition)) {
+        report("error", "bad-coordinates", "MultiPoint has a position that is not a valid [lng, lat]");
+      }
+      return;
+    }
+    if (geometry.type === "LineString") {
+      checkLine(geometry.coordinates, "LineString", report);
+      return;
+    }
+    if (geometry.type === "MultiLineString") {
+      if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+        report("error", "bad-geometry", "MultiLineString has no coordinates");
+        return;
+      }
+      geometry.coordinates.forEach((line, l) => checkLine(line, `Line ${l}`, report));
+      return;
+    }
+    const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+      report("error", "bad-geometry", `${geometry.type} has no coordinates`);
+      return;
+    }
+    polygons.forEach((polygon, p) => {
+      if (!Array.isArray(polygon) || polygon.length === 0) {
+        report("error", "bad-geometry", `Polygon ${p} has no rings`);
+        return;
+      }
+      polygon.forEach((ring, r) => checkRing(ring, `${r === 0 ? "Outer ring" : `Hole ${r}`} of polygon ${p}`, report));
+    });
+  }
+
+  // ===== Properties =====
+  function checkProperties(props, options, report) {
+    if (!props || typeof props !== "object") {
+      report("error", "missing-properties", "Feature has no properties");
+      return;
+    }
+
+    if (props.name !== undefined && typeof props.name !== "string") {
+      report("error", "bad-name", "name must be a string");
+    } else if (!props.name && !STRUCTURE_CATEGORIES.includes(props.category)) {
+      report("warning", "unnamed", `Unnamed ${props.category || "feature"} cannot be searched for or routed to`);
+    }
+
+    if (props.category === undefined) {
+      report("error", "missing-category", "category is required");
+    } else if (!Object.prototype.hasOwnProperty.call(CATEGORY_COLORS, props.category)) {
+      report("error", "unknown-category", `Unknown category "${props.category}" (add it to CATEGORY_COLORS)`);
+    }
+
+    if (props.level === undefined) {
+      report("error", "missing-level", "level is required (-1 for structure on every floor)");
+    } else if (!Number.isInteger(props.level)) {
+      report("error", "bad-level", `level must be an integer, got ${JSON.stringify(props.level)}`);
+    } else if (options.floors && props.level !== -1 && !options.floors.includes(props.level)) {
+      report("error", "unknown-level", `level ${props.level} is not in the floors manifest`);
+    }
+
+    ["height", "base_height"].forEach((key) => {
+      const value = props[key];
+      if (value === undefined) {
+        if (key === "height") report("error", "missing-height", "height is required");
+      } else if (typeof value !== "number" || !Number.isFinite(value)) {
+        report("error", `bad-${key.replace("_", "-")}`, `${key} must be a number, got ${JSON.stringify(value)}`);
+      } else if (value < 0 || value > MAX_HEIGHT_M) {
+        report("error", `bad-${key.replace("_", "-")}`, `${key} ${value} is outside 0-${MAX_HEIGHT_M} m`);
+      }
+    });
+    // Extrusions need their top above their base; flat features sit at 0/0
+    const base = props.base_height || 0;
+    if (typeof props.height === "number" && typeof base === "number" &&
+        base >= props.height && !(props.height === 0 && base === 0)) {
+      report("error", "inverted-extrusion", `base_height ${base} is not below height ${props.height}`);
+    }
+
+    if (props.color === undefined) {
+      report("error", "missing-color", "color is required");
+    } else if (typeof props.color !== "string" || !COLOR_PATTERN.test(props.color)) {
+      report("error", "bad-color", `color ${JSON.stringify(props.color)} is not a #rgb/#rrggbb hex color`);
+    }
+
+    if (props.isOutline !== undefined && typeof props.isOutline !== "boolean") {
+      report("error", "bad-outline-flag", "isOutline must be true or false");
+    }
+  }
+
+  // ===== Validate Features =====
+  // Options: floors (allowed level ids), source (file name for messages).
+  // Returns [{ severity, code, message, index, name, source }].
+  function validateFeatures(features, options = {}) {
+    const issues = [];
+    if (!Array.isArray(features)) {
+      return [{ severity: "error", code: "missing-features", message: "File has no features array", source: options.source }];
+    }
+
+    features.forEach((feature, index) => {
+      const props = (feature && feature.properties) || {};
+      const report = (severity, code, message) =>
+        issues.push({ severity, code, message, index, name: props.name, source: options.source });
+
+      if (!feature || feature.type !== "Feature") {
+        report("error", "bad-feature", "Not a GeoJSON Feature");
+        return;
+      }
+      checkGeometry(feature.geometry, report);
+      checkProperties(feature.properties, options, report);
+    });
+    return issues;
+  }
+
+  function formatIssue(issue) {
+    const where = [issue.source, issue.index !== undefined ? `#${issue.index}` : null].filter(Boolean).join(" ");
+    const name = issue.name ? ` "${issue.name}"` : "";
+    return where || name ? `${where}${name}: ${issue.message}` : issue.message;
+  }
+
+  return { CATEGORY_COLORS, validateFeatures, formatIssue };
+});
@@ -0,0 +1,363 @@
+/**
+ * Geometry helpers shared by the browser app and the Node data tools
+ * Coordinates are GeoJSON [lng, lat] pairs; distances are in metres. Every
+ * GeoJSON geometry type is handled: Point, MultiPoint, LineString,
+ * MultiLineString, Polygon (with holes), MultiPolygon and GeometryCollection.
+ *
+ * Browser: <script src="geometry.js"> exposes window.Geometry
+ * Node:    const geometry = require('./geometry');
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Geometry = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const EARTH_RADIUS_M = 6371000;
+  const LABEL_PRECISION_M = 0.1;
+
+  function deg2rad(deg) {
+    return deg * (Math.PI / 180);
+  }
+
+  // ===== Distance (Haversine) =====
+  function distanceMeters(coord1, coord2) {
+    const dLat = deg2rad(coord2[1] - coord1[1]);
+    const dLon = deg2rad(coord2[0] - coord1[0]);
+    const a =
+      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(deg2rad(coord1[1])) *
+        Math.cos(deg2rad(coord2[1])) *
+        Math.sin(dLon / 2) *
+        Math.sin(dLon / 2);
+    return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // ===== Local Projection =====
+  // Equirectangular projection around an origin. Accurate to centimetres over a
+  // building-sized area, which is all the tools need.
+  function createProjection(origin) {
+    const metersPerDegLat = (Math.PI / 180) * EARTH_RADIUS_M;
+    const metersPerDegLng = metersPerDegLat * Math.cos(deg2rad(origin[1]));
+
+    return {
+      toLocal: (coord) => [
+        (coord[0] - origin[0]) * metersPerDegLng,
+        (coord[1] - origin[1]) * metersPerDegLat,
+      ],
+      toLngLat: (point) => [
+        origin[0] + point[0] / metersPerDegLng,
+        origin[1] + point[1] / metersPerDegLat,
+      ],
+    };
+  }
+
+  // ===== Geometry Access =====
+  // Polygon coordinate arrays ([outer, ...holes]) for Polygon and MultiPolygon
+  // (and the polygons of a GeometryCollection)
+  function polygonsOf(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === "Polygon") return [geometry.coordinates];
+    if (geometry.type === "MultiPolygon") return geometry.coordinates;
+    if (geometry.type === "GeometryCollection") return geometry.geometries.flatMap(polygonsOf);
+    return [];
+  }
+
+  // Position arrays for LineString and MultiLineString
+  function linesOf(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === "LineString") return [geometry.coordinates];
+    if (geometry.type === "MultiLineString") return geometry.coordinates;
+    if (geometry.type === "GeometryCollection") return geometry.geometries.flatMap(linesOf);
+    return [];
+  }
+
+  function pointsOf(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === "Point") return [geometry.coordinates];
+    if (geometry.type === "MultiPoint") return geometry.coordinates;
+    if (geometry.type === "GeometryCollection") return geometry.geometries.flatMap(pointsOf);
+    return [];
+  }
+
+  // ===== Point in Polygon (Ray Casting) =====
+  function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > point[1] !== yj > point[1] &&
+          point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function pointInPolygon(point, polygon) {
+    if (!pointInRing(point, polygon[0])) return false;
+    return !polygon.slice(1).some((hole) => pointInRing(point, hole));
+  }
+
+  function pointInGeometry(point, geometry) {
+    return polygonsOf(geometry).some((polygon) => pointInPolygon(point, polygon));
+  }
+
+  // ===== Area & Length =====
+  // Signed area of a ring of projected [x, y] points
+  function ringArea(points) {
+    let sum = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+      sum += points[i][0] * points[i + 1][1] - points[i + 1][0] * points[i][1];
+    }
+    return sum / 2;
+  }
+
+  function polygonArea(polygon, projection) {
+    return polygon.reduce((total, ring, ringIndex) => {
+      const area = Math.abs(ringArea(ring.map(projection.toLocal)));
+      return total + (ringIndex === 0 ? area : -area);
+    }, 0);
+  }
+
+  // Square metres covered by the polygons of a geometry (holes excluded); 0 for
+  // points and lines
+  function areaMeters(geometry) {
+    const polygons = polygonsOf(geometry);
+    if (polygons.length === 0) return 0;
+    const projection = createProjection(polygons[0][0][0]);
+    return polygons.reduce((total, polygon) => total + polygonArea(polygon, projection), 0);
+  }
+
+  function lineLength(line) {
+    let length = 0;
+    for (let i = 0; i < line.length - 1; i++) length += distanceMeters(line[i], line[i + 1]);
+    return length;
+  }
+
+  // The position a fraction of the way along a line
+  function pointAlong(line, fraction) {
+    let remaining = lineLength(line) * fraction;
+    for (let i = 0; i < line.length - 1; i++) {
+      const segment = distanceMeters(line[i], line[i + 1]);
+      if (segment > 0 && remaining <= segment) {
+        const t = remaining / segment;
+        return [line[i][0] + (line[i + 1][0] - line[i][0]) * t, line[i][1] + (line[i + 1][1] - line[i][1]) * t];
+      }
+      remaining -= segment;
+    }
+    return line[line.length - 1];
+  }
+
+  // ===== Centroid =====
+  // Area-weighted centroid of the polygons; for lines the length-weighted
+  // centroid, for points their average. A geometry's polygons outweigh its
+  // lines, which outweigh its points. Polygon centroids fall back to the vertex
+  // average for degenerate rings.
+  function centroid(geometry) {
+    if (!geometry) return null;
+    if (geometry.type === "Point") return geometry.coordinates;
+
+    const polygons = polygonsOf(geometry);
+    if (polygons.length > 0) return polygonCentroid(polygons);
+    const lines = linesOf(geometry).filter((line) => line.length > 0);
+    if (lines.length > 0) return lineCentroid(lines);
+    const points = pointsOf(geometry);
+    if (points.length === 0) return null;
+    return [
+      points.reduce((sum, point) => sum + point[0], 0) / points.length,
+      points.reduce((sum, point) => sum + point[1], 0) / points.length,
+    ];
+  }
+
+  function polygonCentroid(polygons) {
+    // Work relative to the first vertex: cross products of raw lng/lat values
+    // lose all precision at building scale
+    const [ox, oy] = polygons[0][0][0];
+    let area = 0, cx = 0, cy = 0;
+    let sumX = 0, sumY = 0, count = 0;
+
+    polygons.forEach((polygon) => {
+      polygon.forEach((ring, ringIndex) => {
+        let ringArea = 0, ringX = 0, ringY = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+          const x0 = ring[i][0] - ox, y0 = ring[i][1] - oy;
+          const x1 = ring[i + 1][0] - ox, y1 = ring[i + 1][1] - oy;
+          const cross = x0 * y1 - x1 * y0;
+          ringArea += cross;
+          ringX += (x0 + x1) * cross;
+          ringY += (y0 + y1) * cross;
+          if (ringIndex === 0) {
+            sumX += x0;
+            sumY += y0;
+            count++;
+          }
+        }
+        // Outer rings add and holes subtract, whichever way they are wound
+        const sign = (ringIndex === 0 ? 1 : -1) * Math.sign(ringArea);
+        area += sign * ringArea;
+        cx += sign * ringX;
+        cy += sign * ringY;
+      });
+    });
+
+    if (Math.abs(area) < 1e-18) return count ? [ox + sumX / count, oy + sumY / count] : null;
+    return [ox + cx / (3 * area), oy + cy / (3 * area)];
+  }
+
+  function lineCentroid(lines) {
+    let total = 0, cx = 0, cy = 0;
+    lines.forEach((line) => {
+      for (let i = 0; i < line.length - 1; i++) {
+        const length = distanceMeters(line[i], line[i + 1]);
+        total += length;
+        cx += length * (line[i][0] + line[i + 1][0]) / 2;
+        cy += length * (line[i][1] + line[i + 1][1]) / 2;
+      }
+    });
+    return total > 0 ? [cx / total, cy / total] : lines[0][0];
+  }
+
+  // ===== Label Point =====
+  // Where to put a label, a camera target or a "nearest node" search: inside
+  // the shape even when its centroid isn't (L-shaped units, courtyards). For
+  // polygons this is the pole of inaccessibility of the largest polygon, for
+  // lines the middle of the longest line.
+  function labelPoint(geometry) {
+    const polygons = polygonsOf(geometry);
+    if (polygons.length > 0) {
+      const projection = createProjection(polygons[0][0][0]);
+      const largest = polygons.reduce((best, polygon) =>
+        polygonArea(polygon, projection) > polygonArea(best, projection) ? polygon : best
+      );
+      return poleOfInaccessibility(largest);
+    }
+    const lines = linesOf(geometry).filter((line) => line.length > 0);
+    if (lines.length > 0) {
+      return pointAlong(lines.reduce((best, line) => (lineLength(line) > lineLength(best) ? line : best)), 0.5);
+    }
+    return centroid(geometry);
+  }
+
+  // The point farthest from the polygon's edges, found by refining a grid of
+  // cells until none can beat the best by more than `precision` metres
+  // (the "polylabel" algorithm)
+  function poleOfInaccessibility(polygon, precision = LABEL_PRECISION_M) {
+    const projection = createProjection(polygon[0][0]);
+    const rings = polygon.map((ring) => ring.map(projection.toLocal));
+
+    const xs = rings[0].map((point) => point[0]);
+    const ys = rings[0].map((point) => point[1]);
+    const minX = Math.min(...xs), minY = Math.min(...ys);
+    const width = Math.max(...xs) - minX;
+    const height = Math.max(...ys) - minY;
+    const cellSize = Math.min(width, height);
+    if (cellSize === 0) return polygon[0][0];
+
+    const cells = [];
+    for (let x = minX; x < minX + width; x += cellSize) {
+      for (let y = minY; y < minY + height; y += cellSize) {
+        cells.push(createCell(x + cellSize / 2, y + cellSize / 2, cellSize / 2, rings));
+      }
+    }
+
+    // Start from the centroid (often the answer for simple shapes)
+    const start = polygonCentroid([polygon]);
+    let best = createCell(...projection.toLocal(start || polygon[0][0]), 0, rings);
+    const middle = createCell(minX + width / 2, minY + height / 2, 0, rings);
+    if (middle.distance > best.distance) best = middle;
+
+    while (cells.length > 0) {
+      // Most promising cell first
+      let next = 0;
+      for (let i = 1; i < cells.length; i++) if (cells[i].max > cells[next].max) next = i;
+      const cell = cells.splice(next, 1)[0];
+
+      if (cell.distance > best.distance) best = cell;
+      if (cell.max - best.distance <= precision) continue;
+
+      const half = cell.half / 2;
+      cells.push(
+        createCell(cell.x - half, cell.y - half, half, rings),
+        createCell(cell.x + half, cell.y - half, half, rings),
+        createCell(cell.x - half, cell.y + half, half, rings),
+        createCell(cell.x + half, cell.y + half, half, rings)
+      );
+    }
+
+    return projection.toLngLat([best.x, best.y]);
+  }
+
+  // A square cell; `max` is the best distance any point inside it could reach
+  function createCell(x, y, half, rings) {
+    const distance = signedDistanceToRings([x, y], rings);
+    return { x, y, half, distance, max: distance + half * Math.SQRT2 };
+  }
+
+  // Distance to the nearest edge: positive inside the polygon, negative outside
+  function signedDistanceToRings(point, rings) {
+    let minDistance = Infinity;
+    rings.forEach((ring) => {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const closest = closestPointOnSegment(point, ring[i], ring[i + 1]);
+        minDistance = Math.min(minDistance, Math.hypot(point[0] - closest[0], point[1] - closest[1]));
+      }
+    });
+    return (pointInPolygon(point, rings) ? 1 : -1) * minDistance;
+  }
+
+  // ===== Nearest Point on Segment =====
+  // Works on projected [x, y] points
+  function closestPointOnSegment(point, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSq));
+    return [a[0] + t * dx, a[1] + t * dy];
+  }
+
+  // ===== Convex Hull (Monotone Chain) =====
+  // Returns a closed ring
+  function convexHull(points) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    if (sorted.length < 3) return [...sorted, sorted[0]];
+
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const lower = [];
+    const upper = [];
+
+    sorted.forEach((point) => {
+      while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+      lower.push(point);
+    });
+    [...sorted].reverse().forEach((point) => {
+      while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+      upper.push(point);
+    });
+
+    const hull = [...lower.slice(0, -1), ...upper.slice(0, -1)];
+    return [...hull, hull[0]];
+  }
+
+  return {
+    distanceMeters,
+    createProjection,
+    polygonsOf,
+    linesOf,
+    pointsOf,
+    pointInRing,
+    pointInPolygon,
+    pointInGeometry,
+    areaMeters,
+    lineLength,
+    pointAlong,
+    centroid,
+    labelPoint,
+    poleOfInaccessibility,
+    closestPointOnSegment,
+    convexHull,
+  };
+});
@@ -0,0 +1,758 @@
+/**
+ * Converts between our floorplan files and Apple's Indoor Mapping Data Format
+ * (IMDF 1.0), for exchanging data with venue-mapping partners.
+ *
+ * Usage:
+ *   node imdf.js export [input.geojson] [output.imdf | dir] [--name "Venue"]
+ *                       [--category shoppingcenter] [--address "..."] [--locality "..."] [--country XX]
+ *   node imdf.js import <archive.imdf | dir> [output.geojson]
+ *
+ * An archive is a ZIP file (.imdf or .zip) or a directory of the IMDF files.
+ *
+ * Export writes venue, address, building, footprint (the building outline),
+ * level (one per entry in the floors manifest, with our floor id as ordinal),
+ * unit (polygon features), amenity (points, and units such as ATMs and
+ * washrooms) and opening features. Openings are placed on a unit's boundary
+ * where its nav_node touches it. Level -1 elevators, stairs and escalators
+ * become a unit on every level; other level -1 structure (walls) is left out.
+ * Amenity points standing in open floor space (outside every unit) belong to
+ * an "open area" walkway unit covering the level, as IMDF amenities need one.
+ *
+ * Import produces the mall-floorplan.geojson structure: a floors manifest
+ * (ordinals shifted so that no floor id is -1, our "every floor" level),
+ * features with heights stamped from their floor, and a navGraph skeleton
+ * that joins units through their openings to walkways (or a hub per level)
+ * and stacks elevators, stairs and escalators. Run build_navgraph.js on the
+ * result for a graph that follows the corridor geometry.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const geometry = require('./geometry');
+const FloorplanSchema = require('./floorplan_schema');
+const { readZip, writeZip } = require('./zip');
+const { levelPrefix, slugify } = require('./build_navgraph');
+
+const DEFAULT_INPUT = 'mall-floorplan.geojson';
+const IMDF_VERSION = '1.0.0';
+const LANGUAGE = 'en';
+const DEFAULT_FLOOR_HEIGHT_M = 4;
+const POINT_HEIGHT_M = 1;
+const OPENING_WIDTH_M = 1.5;
+const OPENING_SNAP_M = 3;
+const OPENING_TOUCH_M = 0.5;
+const IMDF_FILES = ['address', 'venue', 'building', 'footprint', 'level', 'unit', 'opening', 'amenity'];
+const VERTICAL_CATEGORIES = ['elevator', 'stairs', 'escalator'];
+const WALKWAY_CATEGORIES = ['corridor', 'walkway'];
+const SKIPPED_CATEGORIES = ['outline', 'building', 'wall', 'label'];
+
+// Our category -> IMDF unit category
+const UNIT_CATEGORIES = {
+  store: 'room',
+  storage: 'storage',
+  elevator: 'elevator',
+  stairs: 'stairs',
+  escalator: 'escalator',
+  washroom: 'restroom',
+  food: 'foodservice',
+  corridor: 'walkway',
+  parking: 'parking',
+  entertainment: 'recreation',
+  seating: 'lounge',
+  common: 'unenclosedarea',
+  entrance: 'lobby',
+  security: 'nonpublic',
+  staff: 'nonpublic',
+  info: 'room',
+};
+
+// Our category -> IMDF amenity category, for points and amenity-like units
+const AMENITY_CATEGORIES = {
+  atm: 'atm',
+  washroom: 'restroom',
+  info: 'information',
+  security: 'security',
+  seating: 'seating',
+  elevator: 'elevator',
+  escalator: 'escalator',
+  stairs: 'stairs',
+  kiosk: 'information',
+  surveillance: 'security',
+  first_aid: 'firstaid',
+  fire_extinguisher: 'fireextinguisher',
+  drinking_water: 'drinkingfountain',
+  stall: 'kiosk',
+};
+
+// IMDF unit category -> ours (restroom.female etc. match by prefix)
+const IMPORT_UNIT_CATEGORIES = {
+  room: 'store',
+  storage: 'storage',
+  elevator: 'elevator',
+  stairs: 'stairs',
+  steps: 'stairs',
+  escalator: 'escalator',
+  movingwalkway: 'corridor',
+  restroom: 'washroom',
+  foodservice: 'food',
+  kitchen: 'food',
+  walkway: 'corridor',
+  lobby: 'common',
+  unenclosedarea: 'common',
+  parking: 'parking',
+  recreation: 'entertainment',
+  movietheater: 'entertainment',
+  theater: 'entertainment',
+  lounge: 'seating',
+  nonpublic: 'storage',
+  structure: 'wall',
+};
+
+const IMPORT_AMENITY_CATEGORIES = {
+  atm: 'atm',
+  restroom: 'washroom',
+  information: 'info',
+  security: 'security',
+  seating: 'seating',
+  elevator: 'elevator',
+  escalator: 'escalator',
+  stairs: 'stairs',
+  foodservice: 'food',
+  firstaid: 'first_aid',
+  fireextinguisher: 'fire_extinguisher',
+  drinkingfountain: 'drinking_water',
+  kiosk: 'stall',
+};
+
+// ===== Helpers =====
+// Deterministic UUID (SHA-1, version 5 layout) so re-exports keep their ids
+function stableUuid(namespace, key) {
+  const hex = crypto.createHash('sha1').update(`${namespace}:${key}`).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function labels(text) {
+  return text ? { [LANGUAGE]: String(text) } : null;
+}
+
+function labelText(value) {
+  if (!value) return null;
+  return value[LANGUAGE] || Object.values(value)[0] || null;
+}
+
+function lookupPrefixed(table, category) {
+  if (!category) return null;
+  return table[category] || table[category.split('.')[0]] || null;
+}
+
+function displayPoint(geom) {
+  const point = geometry.labelPoint(geom);
+  return point ? { type: 'Point', coordinates: point } : null;
+}
+
+function midpoint(coords) {
+  const first = coords[0];
+  const last = coords[coords.length - 1];
+  return [(first[0] + last[0]) / 2, (first[1] + last[1]) / 2];
+}
+
+function imdfFeature(id, featureType, geom, properties) {
+  return { id, type: 'Feature', feature_type: featureType, geometry: geom, properties };
+}
+
+function collection(name, features) {
+  return { type: 'FeatureCollection', name, features };
+}
+
+// Minimum distance (m) from a point to a polygon feature's boundary; 0 inside
+function distanceToGeometry(coords, geom) {
+  if (geometry.pointInGeometry(coords, geom)) return 0;
+  const projection = geometry.createProjection(coords);
+  let best = Infinity;
+  geometry.polygonsOf(geom).forEach((polygon) => {
+    const ring = polygon[0].map(projection.toLocal);
+    for (let i = 0; i < ring.length - 1; i++) {
+      const closest = geometry.closestPointOnSegment([0, 0], ring[i], ring[i + 1]);
+      best = Math.min(best, Math.hypot(closest[0], closest[1]));
+    }
+  });
+  return best;
+}
+
+// A door-sized LineString on the unit's outer ring, centred where the ring
+// passes closest to `coords`; null when the ring is further than OPENING_SNAP_M
+function openingAt(coords, geom) {
+  const projection = geometry.createProjection(coords);
+  let best = null;
+  geometry.polygonsOf(geom).forEach((polygon) => {
+    const ring = polygon[0].map(projection.toLocal);
+    for (let i = 0; i < ring.length - 1; i++) {
+      const closest = geometry.closestPointOnSegment([0, 0], ring[i], ring[i + 1]);
+      const distance = Math.hypot(closest[0], closest[1]);
+      if (!best || distance < best.distance) best = { distance, closest, a: ring[i], b: ring[i + 1] };
+    }
+  });
+  if (!best || best.distance > OPENING_SNAP_M) return null;
+
+  const { closest, a, b } = best;
+  const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+  if (length === 0) return null;
+  const half = Math.min(OPENING_WIDTH_M, length) / 2;
+  const ux = (b[0] - a[0]) / length;
+  const uy = (b[1] - a[1]) / length;
+  // Keep the opening within the edge
+  const t = Math.max(half, Math.min(length - half, (closest[0] - a[0]) * ux + (closest[1] - a[1]) * uy));
+  const centre = [a[0] + ux * t, a[1] + uy * t];
+  return {
+    type: 'LineString',
+    coordinates: [
+      projection.toLngLat([centre[0] - ux * half, centre[1] - uy * half]),
+      projection.toLngLat([centre[0] + ux * half, centre[1] + uy * half]),
+    ],
+  };
+}
+
+// ===== Export =====
+function floorsOf(geojson) {
+  if (Array.isArray(geojson.floors)) return geojson.floors.map((floor) => ({ ...floor, id: Number(floor.id) }));
+  const ids = [...new Set(geojson.features.map((f) => Number(f.properties.level)).filter((level) => level >= 0))];
+  return ids.sort((a, b) => a - b).map((id) => ({ id, label: id === 0 ? 'G' : String(id), name: `Floor ${id}` }));
+}
+
+// Returns { files: { name: FeatureCollection }, manifest, skipped }
+function exportImdf(geojson, options = {}) {
+  const name = options.name || 'Venue';
+  const uuid = (key) => stableUuid(name, key);
+  const skipped = [];
+  const features = geojson.features.filter((f) => f.properties && f.geometry);
+  const floors = floorsOf(geojson);
+
+  // Footprint: the building outline, or the hull of everything when there is none
+  const outlines = features.filter((f) => f.properties.isOutline || f.properties.category === 'outline');
+  const footprintGeometry = outlines.length > 0
+    ? (outlines.length === 1
+      ? outlines[0].geometry
+      : { type: 'MultiPolygon', coordinates: outlines.flatMap((f) => geometry.polygonsOf(f.geometry)) })
+    : { type: 'Polygon', coordinates: [geometry.convexHull(features.flatMap((f) => geometry.polygonsOf(f.geometry).flatMap((p) => p[0])))] };
+  const venuePoint = displayPoint(footprintGeometry);
+
+  const addressId = uuid('address');
+  const venueId = uuid('venue');
+  const buildingId = uuid('building');
+  const address = imdfFeature(addressId, 'address', null, {
+    address: options.address || null,
+    unit: null,
+    locality: options.locality || null,
+    province: null,
+    country: options.country || null,
+    postal_code: null,
+    postal_code_ext: null,
+    postal_code_vanity: null,
+  });
+  const venue = imdfFeature(venueId, 'venue', footprintGeometry, {
+    category: options.category || 'shoppingcenter',
+    restriction: null,
+    name: labels(name),
+    alt_name: null,
+    hours: null,
+    phone: null,
+    website: null,
+    display_point: venuePoint,
+    address_id: addressId,
+  });
+  const building = imdfFeature(buildingId, 'building', null, {
+    name: labels(name),
+    alt_name: null,
+    category: 'unspecified',
+    restriction: null,
+    display_point: venuePoint,
+    address_id: null,
+  });
+  const footprint = imdfFeature(uuid('footprint'), 'footprint', footprintGeometry, {
+    category: 'ground',
+    name: null,
+    building_ids: [buildingId],
+  });
+
+  const levelIds = new Map();
+  const levels = floors.map((floor) => {
+    const id = uuid(`level:${floor.id}`);
+    levelIds.set(floor.id, id);
+    return imdfFeature(id, 'level', footprintGeometry, {
+      category: 'unspecified',
+      restriction: null,
+      outdoor: false,
+      ordinal: floor.ordinal !== undefined ? Number(floor.ordinal) : floor.id,
+      name: labels(floor.name || floor.label),
+      short_name: labels(floor.label !== undefined ? floor.label : floor.id),
+      display_point: venuePoint,
+      address_id: null,
+      building_ids: [buildingId],
+    });
+  });
+
+  const units = [];
+  const amenities = [];
+  const openings = [];
+  const nodes = (geojson.navGraph && geojson.navGraph.nodes) || {};
+
+  // Units first, so points can be placed in the unit that contains them
+  features.forEach((feature, index) => {
+    const props = feature.properties;
+    if (feature.geometry.type === 'Point') return;
+    if (SKIPPED_CATEGORIES.includes(props.category) || props.isOutline) return;
+
+    const level = Number(props.level);
+    let onFloors;
+    if (level === -1) {
+      if (!VERTICAL_CATEGORIES.includes(props.category)) {
+        skipped.push({ name: props.name, reason: `level -1 ${props.category} has no IMDF level` });
+        return;
+      }
+      onFloors = floors;
+    } else {
+      onFloors = floors.filter((floor) => floor.id === level);
+      if (onFloors.length === 0) {
+        skipped.push({ name: props.name, reason: `level ${props.level} is not in the floors manifest` });
+        return;
+      }
+    }
+
+    const key = feature.id !== undefined ? feature.id : index;
+    onFloors.forEach((floor) => {
+      const unitId = props.imdf_id && onFloors.length === 1 ? props.imdf_id : uuid(`unit:${key}:${floor.id}`);
+      const point = displayPoint(feature.geometry);
+      units.push({
+        feature,
+        floor,
+        imdf: imdfFeature(unitId, 'unit', feature.geometry, {
+          category: UNIT_CATEGORIES[props.category] || 'unspecified',
+          restriction: null,
+          accessibility: null,
+          name: labels(props.name),
+          alt_name: null,
+          display_point: point,
+          level_id: levelIds.get(floor.id),
+        }),
+      });
+
+      if (AMENITY_CATEGORIES[props.category]) {
+        amenities.push(imdfFeature(uuid(`amenity:${key}:${floor.id}`), 'amenity', point, {
+          category: AMENITY_CATEGORIES[props.category],
+          accessibility: null,
+          name: labels(props.name),
+          alt_name: null,
+          hours: null,
+          phone: null,
+          website: null,
+          unit_ids: [unitId],
+          address_id: null,
+          correlation_id: null,
+        }));
+      }
+
+      // A door where the unit's routing node meets its boundary
+      const node = nodes[props.nav_node];
+      if (node && node.floor === floor.id) {
+        const line = openingAt(node.coords, feature.geometry);
+        if (line) {
+          openings.push(imdfFeature(uuid(`opening:${key}:${floor.id}`), 'opening', line, {
+            category: 'pedestrian',
+            accessibility: null,
+            access_control: null,
+            door: null,
+            name: null,
+            alt_name: null,
+            display_point: { type: 'Point', coordinates: midpoint(line.coordinates) },
+            level_id: levelIds.get(floor.id),
+          }));
+        }
+      }
+    });
+  });
+
+  // One walkway unit per level, made when an amenity first needs it
+  const openAreas = new Map();
+  const openAreaUnit = (floor) => {
+    if (!openAreas.has(floor.id)) {
+      openAreas.set(floor.id, imdfFeature(uuid(`unit:open:${floor.id}`), 'unit', footprintGeometry, {
+        category: 'walkway',
+        restriction: null,
+        accessibility: null,
+        name: null,
+        alt_name: null,
+        display_point: venuePoint,
+        level_id: levelIds.get(floor.id),
+      }));
+    }
+    return openAreas.get(floor.id);
+  };
+
+  features.forEach((feature, index) => {
+    const props = feature.properties;
+    if (feature.geometry.type !== 'Point') return;
+    const category = AMENITY_CATEGORIES[props.category];
+    if (!category) {
+      skipped.push({ name: props.name, reason: `${props.category} points have no IMDF amenity category` });
+      return;
+    }
+    const level = Number(props.level);
+    const container = units.find((unit) =>
+      (level === -1 || unit.floor.id === level) &&
+      !WALKWAY_CATEGORIES.includes(unit.feature.properties.category) &&
+      geometry.pointInGeometry(feature.geometry.coordinates, unit.feature.geometry)
+    ) || units.find((unit) =>
+      (level === -1 || unit.floor.id === level) && geometry.pointInGeometry(feature.geometry.coordinates, unit.feature.geometry)
+    );
+    const floor = floors.find((f) => f.id === level);
+    if (!container && !floor) {
+      skipped.push({ name: props.name, reason: 'amenity is not inside any unit and has no single level' });
+      return;
+    }
+    const unitId = container ? container.imdf.id : openAreaUnit(floor).id;
+    amenities.push(imdfFeature(props.imdf_id || uuid(`amenity:${feature.id !== undefined ? feature.id : index}`), 'amenity', feature.geometry, {
+      category,
+      accessibility: null,
+      name: labels(props.name),
+      alt_name: null,
+      hours: null,
+      phone: null,
+      website: null,
+      unit_ids: [unitId],
+      address_id: null,
+      correlation_id: null,
+    }));
+  });
+
+  const manifest = {
+    version: IMDF_VERSION,
+    created: (options.created || new Date()).toISOString(),
+    generated_by: 'imdf.js',
+    language: LANGUAGE,
+  };
+  const files = {
+    address: collection('address', [address]),
+    venue: collection('venue', [venue]),
+    building: collection('building', [building]),
+    footprint: collection('footprint', [footprint]),
+    level: collection('level', levels),
+    unit: collection('unit', [...units.map((unit) => unit.imdf), ...openAreas.values()]),
+    opening: collection('opening', openings),
+    amenity: collection('amenity', amenities),
+  };
+  return { files, manifest, skipped };
+}
+
+// ===== Import =====
+function importImdf(files) {
+  const get = (name) => ((files[name] && files[name].features) || []);
+  const imdfLevels = get('level').filter((level) => level.properties && Number.isInteger(level.properties.ordinal));
+  if (imdfLevels.length === 0) throw new Error('Archive has no levels with an ordinal');
+
+  // Ordinals are shifted so the lowest floor is at least 0: our level -1 means
+  // "every floor", so it can't also be a basement
+  const lowest = Math.min(...imdfLevels.map((level) => level.properties.ordinal));
+  const shift = lowest < 0 ? -lowest : 0;
+  const floorByLevel = new Map();
+  const floors = [];
+  [...imdfLevels]
+    .sort((a, b) => a.properties.ordinal - b.properties.ordinal)
+    .forEach((level) => {
+      const ordinal = level.properties.ordinal;
+      const id = ordinal + shift;
+      let floor = floors.find((f) => f.id === id);
+      if (!floor) {
+        floor = {
+          id,
+          label: labelText(level.properties.short_name) || (ordinal === 0 ? 'G' : String(ordinal)),
+          name: labelText(level.properties.name) || `Level ${ordinal}`,
+          elevation: id * DEFAULT_FLOOR_HEIGHT_M,
+          height: DEFAULT_FLOOR_HEIGHT_M,
+        };
+        if (shift !== 0) floor.ordinal = ordinal;
+        floors.push(floor);
+      }
+      floorByLevel.set(level.id, floor);
+    });
+
+  const usedIds = new Map();
+  const allocate = (base) => {
+    const count = (usedIds.get(base) || 0) + 1;
+    usedIds.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  };
+  const skipped = [];
+  const features = [];
+
+  get('footprint')
+    .filter((footprint) => footprint.geometry && (!footprint.properties || footprint.properties.category !== 'aerial'))
+    .forEach((footprint) => {
+      features.push({
+        type: 'Feature',
+        id: allocate('all_building_outline'),
+        properties: {
+          name: labelText(footprint.properties && footprint.properties.name) || 'Building Outline',
+          category: 'outline',
+          level: -1,
+          height: 0,
+          base_height: 0,
+          color: FloorplanSchema.CATEGORY_COLORS.outline,
+          isOutline: true,
+          imdf_id: footprint.id,
+        },
+        geometry: footprint.geometry,
+      });
+    });
+
+  const unitFeatures = new Map();
+  get('unit').forEach((unit) => {
+    const props = unit.properties || {};
+    const floor = floorByLevel.get(props.level_id);
+    if (!floor || !unit.geometry) {
+      skipped.push({ name: labelText(props.name), reason: 'unit has no geometry or an unknown level_id' });
+      return;
+    }
+    const category = lookupPrefixed(IMPORT_UNIT_CATEGORIES, props.category) || 'common';
+    const name = labelText(props.name);
+    const feature = {
+      type: 'Feature',
+      id: allocate(`${levelPrefix(floor.id)}_${slugify(name || category)}`),
+      properties: {
+        ...(name ? { name } : {}),
+        category,
+        level: floor.id,
+        height: floor.elevation + floor.height,
+        base_height: floor.elevation,
+        color: FloorplanSchema.CATEGORY_COLORS[category],
+        ...(category === 'elevator' ? { isElevator: true } : {}),
+        imdf_id: unit.id,
+      },
+      geometry: unit.geometry,
+    };
+    features.push(feature);
+    unitFeatures.set(unit.id, { feature, floor, imdf: unit });
+  });
+
+  get('amenity').forEach((amenity) => {
+    const props = amenity.properties || {};
+    const unit = (props.unit_ids || []).map((id) => unitFeatures.get(id)).find(Boolean);
+    if (!unit || !amenity.geometry) {
+      skipped.push({ name: labelText(props.name), reason: 'amenity is not in an imported unit' });
+      return;
+    }
+    const category = lookupPrefixed(IMPORT_AMENITY_CATEGORIES, props.category) || 'common';
+    // Amenities that only restate their unit (a restroom unit's restroom) are dropped
+    if (category === unit.feature.properties.category) return;
+
+    const name = labelText(props.name) || props.category;
+    features.push({
+      type: 'Feature',
+      id: allocate(`${levelPrefix(unit.floor.id)}_${slugify(name)}`),
+      properties: {
+        name,
+        category,
+        level: unit.floor.id,
+        height: unit.floor.elevation + POINT_HEIGHT_M,
+        base_height: unit.floor.elevation,
+        color: FloorplanSchema.CATEGORY_COLORS[category],
+        imdf_id: amenity.id,
+        unit: unit.feature.id,
+      },
+      geometry: amenity.geometry,
+    });
+  });
+
+  const navGraph = buildSkeleton([...unitFeatures.values()], get('opening'), floors, floorByLevel);
+
+  // Points route to the unit they are in
+  features.forEach((feature) => {
+    const props = feature.properties;
+    if (props.unit) {
+      props.nav_node = props.unit;
+      delete props.unit;
+    } else if (navGraph.nodes[feature.id]) {
+      props.nav_node = feature.id;
+    }
+  });
+
+  return { geojson: { type: 'FeatureCollection', floors, features, navGraph }, skipped };
+}
+
+// Unit nodes at each unit's display point, opening nodes joined to the units
+// they touch, walkways (or a hub per level) joining the rest, and vertical
+// connectors stacked between consecutive floors
+function buildSkeleton(units, openings, floors, floorByLevel) {
+  const nodes = {};
+  const edges = [];
+  const degree = {};
+  const addEdge = (a, b, type) => {
+    edges.push(type ? [a, b, { type }] : [a, b]);
+    degree[a] = (degree[a] || 0) + 1;
+    degree[b] = (degree[b] || 0) + 1;
+  };
+  const nearest = (coords, ids) => ids.reduce((best, id) =>
+    (!best || geometry.distanceMeters(coords, nodes[id].coords) < geometry.distanceMeters(coords, nodes[best].coords) ? id : best), null);
+
+  units.forEach(({ feature, floor, imdf }) => {
+    const point = (imdf.properties.display_point && imdf.properties.display_point.coordinates) || geometry.centroid(feature.geometry);
+    nodes[feature.id] = { coords: point, floor: floor.id, ...(feature.properties.name ? { name: feature.properties.name } : {}) };
+  });
+
+  floors.forEach((floor) => {
+    const onFloor = units.filter((unit) => unit.floor === floor);
+    if (onFloor.length === 0) return;
+    const prefix = levelPrefix(floor.id);
+
+    let walkways = onFloor.filter((unit) => WALKWAY_CATEGORIES.includes(unit.feature.properties.category)).map((unit) => unit.feature.id);
+    if (walkways.length === 0) {
+      const hub = `${prefix}_hub`;
+      const hull = geometry.convexHull(onFloor.flatMap((unit) => geometry.polygonsOf(unit.feature.geometry).flatMap((p) => p[0])));
+      nodes[hub] = { coords: geometry.centroid({ type: 'Polygon', coordinates: [hull] }), floor: floor.id };
+      walkways = [hub];
+    }
+    // Chain the walkways so the floor is one piece
+    walkways.slice(1).forEach((id, i) => addEdge(id, nearest(nodes[id].coords, walkways.slice(0, i + 1))));
+
+    openings
+      .filter((opening) => floorByLevel.get(opening.properties && opening.properties.level_id) === floor && opening.geometry)
+      .forEach((opening, index) => {
+        const middle = midpoint(opening.geometry.coordinates);
+        const id = `${prefix}_opening_${index + 1}`;
+        nodes[id] = { coords: middle, floor: floor.id };
+        const touching = onFloor.filter((unit) => distanceToGeometry(middle, unit.feature.geometry) <= OPENING_TOUCH_M);
+        touching.forEach((unit) => addEdge(id, unit.feature.id));
+        if (!touching.some((unit) => walkways.includes(unit.feature.id))) addEdge(id, nearest(middle, walkways));
+      });
+
+    onFloor.forEach(({ feature }) => {
+      if (!degree[feature.id] && !walkways.includes(feature.id)) addEdge(feature.id, nearest(nodes[feature.id].coords, walkways));
+    });
+  });
+
+  // Stack connectors whose footprints overlap on consecutive floors
+  const sorted = [...floors].sort((a, b) => a.id - b.id);
+  sorted.slice(1).forEach((floor, i) => {
+    const below = units.filter((unit) => unit.floor === sorted[i]);
+    units
+      .filter((unit) => unit.floor === floor && VERTICAL_CATEGORIES.includes(unit.feature.properties.category))
+      .forEach((upper) => {
+        const lower = below.find((unit) =>
+          unit.feature.properties.category === upper.feature.properties.category &&
+          geometry.pointInGeometry(nodes[upper.feature.id].coords, unit.feature.geometry)
+        );
+        if (lower) addEdge(lower.feature.id, upper.feature.id, upper.feature.properties.category);
+      });
+  });
+
+  return { nodes, edges };
+}
+
+// ===== Archives =====
+function readArchive(archivePath) {
+  const files = {};
+  const readEntry = fs.statSync(archivePath).isDirectory()
+    ? (name) => (fs.existsSync(path.join(archivePath, name)) ? fs.readFileSync(path.join(archivePath, name), 'utf8') : null)
+    : (() => {
+      const entries = readZip(fs.readFileSync(archivePath));
+      // Archives zipped with their folder keep a top-level directory
+      const byBase = new Map([...entries].map(([name, data]) => [path.posix.basename(name), data]));
+      return (name) => (byBase.has(name) ? byBase.get(name).toString('utf8') : null);
+    })();
+
+  IMDF_FILES.forEach((name) => {
+    const text = readEntry(`${name}.geojson`);
+    if (text === null) return;
+    try {
+      files[name] = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${name}.geojson in ${archivePath} is not valid JSON: ${error.message}`);
+    }
+  });
+  if (!readEntry('manifest.json')) console.warn(`${archivePath} has no manifest.json`);
+  return files;
+}
+
+function writeArchive(archivePath, files, manifest) {
+  const entries = [
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) + '\n' },
+    ...Object.entries(files).map(([name, data]) => ({ name: `${name}.geojson`, data: JSON.stringify(data, null, 2) + '\n' })),
+  ];
+  if (/\.(imdf|zip)$/i.test(archivePath)) {
+    fs.writeFileSync(archivePath, writeZip(entries));
+    return;
+  }
+  fs.mkdirSync(archivePath, { recursive: true });
+  entries.forEach(({ name, data }) => fs.writeFileSync(path.join(archivePath, name), data));
+}
+
+// ===== CLI =====
+function parseArgs(argv) {
+  const args = { command: null, positional: [], name: null, category: null, address: null, locality: null, country: null };
+  const valueOptions = { '--name': 'name', '--category': 'category', '--address': 'address', '--locality': 'locality', '--country': 'country' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueOptions[arg]) {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      args[valueOptions[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  if (!['export', 'import'].includes(args.command)) throw new Error('Command must be "export" or "import"');
+  return args;
+}
+
+function printSkipped(skipped) {
+  skipped.forEach(({ name, reason }) => console.log(`  skipped    ${name ? `"${name}"` : '(unnamed)'}: ${reason}`));
+}
+
+function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.command === 'export') {
+      const input = args.positional[0] || DEFAULT_INPUT;
+      const output = args.positional[1] || `${path.basename(input, path.extname(input))}.imdf`;
+      const geojson = JSON.parse(fs.readFileSync(input, 'utf8'));
+      const { files, manifest, skipped } = exportImdf(geojson, args);
+
+      printSkipped(skipped);
+      Object.entries(files).forEach(([name, data]) => console.log(`${name.padEnd(10)} ${data.features.length}`));
+      if (!args.address || !args.locality || !args.country) {
+        console.warn('\nNo --address/--locality/--country given; IMDF validators require them on the venue address.');
+      }
+      writeArchive(output, files, manifest);
+      console.log(`\nWrote ${output}.`);
+      return;
+    }
+
+    const input = args.positional[0];
+    if (!input) throw new Error('import needs an IMDF archive or directory');
+    const output = args.positional[1] || DEFAULT_INPUT;
+    const { geojson, skipped } = importImdf(readArchive(input));
+
+    printSkipped(skipped);
+    const issues = FloorplanSchema.validateFeatures(geojson.features, {
+      floors: geojson.floors.map((floor) => floor.id),
+      source: output,
+    });
+    issues.forEach((issue) => console.warn(`${issue.severity === 'error' ? 'ERROR' : 'WARN '}  ${FloorplanSchema.formatIssue(issue)}`));
+    console.log(`${geojson.floors.length} floor(s), ${geojson.features.length} feature(s), ` +
+      `${Object.keys(geojson.navGraph.nodes).length} nav node(s).`);
+
+    fs.writeFileSync(output, JSON.stringify(geojson, null, 2) + '\n');
+    console.log(`Wrote ${output}.`);
+  } catch (error) {
+    console.error('Error converting IMDF:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { exportImdf, importImdf, readArchive, writeArchive };
@@ -0,0 +1,198 @@
+/**
+ * One-off migration: links features to their navGraph node via a `nav_node`
+ * property, replacing the app's old fuzzy name matching.
+ *
+ * Usage: node link_nav_nodes.js [file.geojson ...] [--graph mall-floorplan.geojson] [--relink] [--dry-run]
+ *
+ * Each file is linked against its own navGraph when it has one (every building
+ * of a venue carries its own), otherwise against the --graph file. Floor files
+ * of a build_floorplan.js manifest (*.build.json) have no `level`; their
+ * features take the floor's.
+ *
+ * A feature is linked when exactly one node on its floor matches it by node
+ * name, by node id (without the g_/f1_/f2_ prefix) or by lying inside its
+ * footprint. Features with several candidates are listed as ambiguous and left
+ * for a human to link by hand.
+ *
+ * Features without a category (routing sketches) are never linked. Each result
+ * is run through validate_navgraph.js first and is only written when it
+ * passes; otherwise the exit code is 1.
+ */
+const fs = require('fs');
+const path = require('path');
+const geometry = require('./geometry');
+const { validateNavGraph, findProcessor } = require('./validate_navgraph');
+
+const DEFAULT_GRAPH = 'mall-floorplan.geojson';
+const DEFAULT_FILES = ['mall-floorplan.geojson', 'building_refrenced_data.geojson'];
+// Structure and tactical categories never appear as route endpoints in the app
+const NON_ROUTABLE_CATEGORIES = ['corridor', 'building', 'wall', 'outline',
+  'security', 'staff', 'furniture', 'surveillance', 'label'];
+
+function clean(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function coreId(id) {
+  return clean(id.replace(/^[gfb]\d?_/, ''));
+}
+
+function needsNode(props) {
+  return props.name && props.category && props.name !== 'wall_extrude' && !props.isOutline &&
+    !NON_ROUTABLE_CATEGORIES.includes(props.category);
+}
+
+// The floor of a *.build.json manifest next to `file` whose source it is, if any
+function findBuildFloor(file) {
+  const dir = path.dirname(file);
+  for (const name of fs.readdirSync(dir).filter((entry) => entry.endsWith('.build.json'))) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    const floor = (manifest.floors || []).find((f) => f.source && path.resolve(dir, f.source) === path.resolve(file));
+    if (floor) return floor;
+  }
+  return null;
+}
+
+// ===== Candidate Matching =====
+// Strongest evidence first: an exact name or id match beats a substring match,
+// which beats a node that merely sits inside the footprint. `floorLevel` stands
+// in for a missing `level` (floor files).
+function findCandidates(feature, nodes, floorLevel = null) {
+  const props = feature.properties;
+  const name = clean(props.name);
+  const level = props.level == null ? floorLevel : Number(props.level);
+  const ids = Object.keys(nodes).filter((id) => level === null || level === -1 || nodes[id].floor === level);
+
+  const tiers = [
+    ids.filter((id) => (nodes[id].name && clean(nodes[id].name) === name) || coreId(id) === name),
+    ids.filter((id) => {
+      const core = coreId(id);
+      return core.length >= 3 && (name.includes(core) || core.includes(name));
+    }),
+    feature.geometry.type === 'Point'
+      ? []
+      : ids.filter((id) => geometry.pointInGeometry(nodes[id].coords, feature.geometry)),
+  ];
+
+  return tiers.find((tier) => tier.length > 0) || [];
+}
+
+function linkFeatures(geojson, nodes, relink, floorLevel = null) {
+  const result = { linked: [], ambiguous: [], unlinked: [], kept: 0 };
+
+  geojson.features.forEach((feature) => {
+    const props = feature.properties || {};
+    if (!feature.geometry || !needsNode(props)) return;
+
+    if (props.nav_node && nodes[props.nav_node] && !relink) {
+      result.kept++;
+      return;
+    }
+
+    const candidates = findCandidates(feature, nodes, floorLevel);
+    if (candidates.length === 1) {
+      props.nav_node = candidates[0];
+      result.linked.push({ name: props.name, node: candidates[0] });
+    } else if (candidates.length > 1) {
+      result.ambiguous.push({ name: props.name, candidates });
+    } else {
+      result.unlinked.push({ name: props.name });
+    }
+  });
+
+  // A node claimed by several features is as ambiguous as a feature with several nodes
+  const claims = {};
+  result.linked.forEach(({ name, node }) => (claims[node] = [...(claims[node] || []), name]));
+  Object.entries(claims).forEach(([node, names]) => {
+    if (names.length < 2) return;
+    names.forEach((name) => {
+      geojson.features
+        .filter((f) => f.properties && f.properties.name === name && f.properties.nav_node === node)
+        .forEach((f) => delete f.properties.nav_node);
+      result.linked = result.linked.filter((entry) => entry.name !== name);
+      result.ambiguous.push({ name, candidates: [node], sharedWith: names.filter((n) => n !== name) });
+    });
+  });
+
+  return result;
+}
+
+// ===== CLI =====
+function main() {
+  const argv = process.argv.slice(2);
+  let graphPath = DEFAULT_GRAPH;
+  let dryRun = false;
+  let relink = false;
+  const files = [];
+
+  try {
+    for (let i = 0; i < argv.length; i++) {
+      if (argv[i] === '--graph') graphPath = argv[++i];
+      else if (argv[i] === '--dry-run') dryRun = true;
+      else if (argv[i] === '--relink') relink = true;
+      else if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+      else files.push(argv[i]);
+    }
+    const inputs = files.length > 0 ? files : DEFAULT_FILES;
+
+    const graphFile = JSON.parse(fs.readFileSync(graphPath, 'utf8'));
+    let needsReview = false;
+    let failed = false;
+
+    inputs.forEach((input) => {
+      const raw = fs.readFileSync(input, 'utf8');
+      const geojson = input === graphPath ? graphFile : JSON.parse(raw);
+      const graph = geojson.navGraph || graphFile.navGraph;
+      if (!graph) throw new Error(`Neither ${input} nor ${graphPath} has a navGraph`);
+      const floor = findBuildFloor(input);
+      const floorLevel = floor ? Number(floor.id) : null;
+      const result = linkFeatures(geojson, graph.nodes, relink, floorLevel);
+
+      console.log(`\n${input}: ${result.linked.length} linked, ${result.kept} already linked, ` +
+        `${result.ambiguous.length} ambiguous, ${result.unlinked.length} without a candidate`);
+      result.linked.forEach(({ name, node }) => console.log(`  linked     "${name}" -> ${node}`));
+      result.ambiguous.forEach(({ name, candidates, sharedWith }) => {
+        const detail = sharedWith
+          ? `${candidates[0]} is also matched by ${sharedWith.map((n) => `"${n}"`).join(', ')}`
+          : `candidates ${candidates.join(', ')}`;
+        console.log(`  AMBIGUOUS  "${name}": ${detail}`);
+      });
+      result.unlinked.forEach(({ name }) => console.log(`  unlinked   "${name}" (router will use the nearest node)`));
+      if (result.ambiguous.length > 0) needsReview = true;
+
+      // Check the file as the app loads it (processed, or on its floor), against
+      // the graph it was linked to
+      const processor = findProcessor(input);
+      const features = processor
+        ? processor.run(geojson.features)
+        : geojson.features.map((f) =>
+          floor && f.properties ? { ...f, properties: { ...f.properties, level: floorLevel } } : f
+        );
+      const errors = validateNavGraph({ ...geojson, features, navGraph: graph }).filter((p) => p.severity === 'error');
+      errors.forEach((p) => console.error(`  ERROR      ${p.message}`));
+      if (errors.length > 0) {
+        failed = true;
+        if (!dryRun && result.linked.length > 0) console.error(`  Not writing ${input}.`);
+        return;
+      }
+
+      if (!dryRun && result.linked.length > 0) {
+        fs.writeFileSync(input, JSON.stringify(geojson, null, 2) + (raw.endsWith('\n') ? '\n' : ''));
+      }
+    });
+
+    if (dryRun) console.log('\nDry run: no files written.');
+    if (needsReview) console.log('\nSet nav_node by hand on the ambiguous features listed above.');
+    if (failed) {
+      console.error('\nThe result does not pass validate_navgraph.js; fix the errors listed above.');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error linking nav nodes:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { findCandidates, linkFeatures };
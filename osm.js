@@ -0,0 +1,585 @@
+/**
+ * Converts between our floorplan files and OpenStreetMap Simple Indoor Tagging
+ * (https://wiki.openstreetmap.org/wiki/Simple_Indoor_Tagging).
+ *
+ * Usage:
+ *   node osm.js export [input.geojson] [output.osm] [--name "Building name"] [--building retail]
+ *   node osm.js import <extract.osm> [output.geojson]
+ *
+ * Export writes an .osm XML file of new (negative id) objects for review in
+ * JOSM: the building outline as building=*, one indoor=level per floor, rooms,
+ * corridors and areas as closed ways (multipolygon relations when they have
+ * holes) tagged from TAG_RULES with level, name and height (metres above
+ * their floor), points such as ATMs as nodes, and a door=yes node on each
+ * room's outline where its nav_node meets it. Level -1 features get every
+ * floor in their level tag (level=0;1;2).
+ *
+ * Import reads closed ways, multipolygon relations and tagged nodes with a
+ * level, and writes the mall-floorplan.geojson structure with a floors
+ * manifest (from indoor=level, or the levels in use; shifted so that no floor
+ * id is -1) and heights stamped from each floor. It has no navGraph: run
+ * build_navgraph.js on the result to route through it.
+ */
+const fs = require('fs');
+const path = require('path');
+const geometry = require('./geometry');
+const FloorplanSchema = require('./floorplan_schema');
+const { levelPrefix, slugify } = require('./build_navgraph');
+
+const DEFAULT_INPUT = 'mall-floorplan.geojson';
+const DEFAULT_FLOOR_HEIGHT_M = 4;
+const POINT_HEIGHT_M = 1;
+const DOOR_SNAP_M = 3;
+const COORD_DECIMALS = 7;
+
+// Our category <-> Simple Indoor Tagging. Export uses the first rule for a
+// category; import takes the first rule whose tags all match, where "yes"
+// matches any value (shop=clothes is a store).
+const TAG_RULES = [
+  { category: 'outline', tags: { building: 'yes' } },
+  { category: 'elevator', tags: { indoor: 'room', highway: 'elevator' } },
+  { category: 'escalator', tags: { indoor: 'room', stairs: 'yes', conveying: 'yes' } },
+  { category: 'stairs', tags: { indoor: 'room', stairs: 'yes' } },
+  { category: 'stairs', tags: { highway: 'steps' } },
+  { category: 'washroom', tags: { indoor: 'room', amenity: 'toilets' } },
+  { category: 'atm', tags: { amenity: 'atm' } },
+  { category: 'drinking_water', tags: { amenity: 'drinking_water' } },
+  { category: 'fire_extinguisher', tags: { emergency: 'fire_extinguisher' } },
+  { category: 'first_aid', tags: { emergency: 'first_aid_kit' } },
+  { category: 'stall', tags: { shop: 'kiosk' } },
+  { category: 'food', tags: { indoor: 'room', amenity: 'restaurant' } },
+  { category: 'food', tags: { amenity: 'fast_food' } },
+  { category: 'food', tags: { amenity: 'cafe' } },
+  { category: 'food', tags: { amenity: 'food_court' } },
+  { category: 'parking', tags: { indoor: 'area', amenity: 'parking' } },
+  { category: 'info', tags: { tourism: 'information' } },
+  { category: 'kiosk', tags: { tourism: 'information', information: 'board' } },
+  { category: 'surveillance', tags: { man_made: 'surveillance' } },
+  { category: 'seating', tags: { indoor: 'area', amenity: 'bench' } },
+  { category: 'storage', tags: { indoor: 'room', room: 'storage' } },
+  { category: 'security', tags: { indoor: 'room', room: 'security' } },
+  { category: 'entertainment', tags: { indoor: 'room', leisure: 'amusement_arcade' } },
+  { category: 'store', tags: { indoor: 'room', shop: 'yes' } },
+  { category: 'corridor', tags: { indoor: 'corridor' } },
+  { category: 'wall', tags: { indoor: 'wall' } },
+  { category: 'entrance', tags: { door: 'yes' } },
+  { category: 'entrance', tags: { entrance: 'yes' } },
+  { category: 'store', tags: { indoor: 'room' } },
+  { category: 'common', tags: { indoor: 'area' } },
+];
+
+// ===== Helpers =====
+function floorsOf(geojson) {
+  if (Array.isArray(geojson.floors)) return geojson.floors.map((floor) => ({ ...floor, id: Number(floor.id) }));
+  const ids = [...new Set(geojson.features.map((f) => Number(f.properties.level)).filter((level) => level >= 0))];
+  return ids.sort((a, b) => a - b).map((id) => ({ id, label: id === 0 ? 'G' : String(id), name: `Floor ${id}` }));
+}
+
+function rulesMatch(ruleTags, tags) {
+  return Object.entries(ruleTags).every(([key, value]) =>
+    tags[key] !== undefined && tags[key] !== 'no' && (value === 'yes' || tags[key] === value)
+  );
+}
+
+function categoryFromTags(tags) {
+  const rule = TAG_RULES.find((r) => rulesMatch(r.tags, tags));
+  return rule ? rule.category : null;
+}
+
+// "1", "0;1;2" or "0-2" -> [numbers]
+function parseLevels(value) {
+  if (value === undefined) return [];
+  return String(value).split(';').flatMap((part) => {
+    const range = part.trim().match(/^(-?\d+)\s*-\s*(-?\d+)$/);
+    if (range) {
+      const [from, to] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+      return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+    }
+    const level = Number(part);
+    return part.trim() === '' || Number.isNaN(level) ? [] : [level];
+  });
+}
+
+function parseMetres(value) {
+  if (value === undefined) return null;
+  const metres = parseFloat(String(value).replace(/\s*m$/, ''));
+  return Number.isFinite(metres) ? metres : null;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// ===== XML =====
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text))) attributes[match[1]] = unescapeXml(match[2] !== undefined ? match[2] : match[3]);
+  return attributes;
+}
+
+// Just enough of OSM XML for extracts from JOSM, Overpass or the API:
+// nodes, ways and relations with their tags, node refs and members
+function parseOsm(xml) {
+  const data = { nodes: new Map(), ways: new Map(), relations: new Map() };
+  const elementPattern = /<(node|way|relation)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  let match;
+  while ((match = elementPattern.exec(xml))) {
+    const [, type, attributeText, body = ''] = match;
+    const attributes = parseAttributes(attributeText);
+    if (attributes.action === 'delete' || attributes.visible === 'false') continue;
+
+    const tags = {};
+    body.replace(/<tag\b([^>]*)\/?>/g, (_, text) => {
+      const { k, v } = parseAttributes(text);
+      if (k !== undefined) tags[k] = v;
+      return '';
+    });
+    const element = { id: attributes.id, tags };
+
+    if (type === 'node') {
+      element.coords = [Number(attributes.lon), Number(attributes.lat)];
+      data.nodes.set(element.id, element);
+    } else if (type === 'way') {
+      element.refs = [];
+      body.replace(/<nd\b([^>]*)\/?>/g, (_, text) => element.refs.push(parseAttributes(text).ref));
+      data.ways.set(element.id, element);
+    } else {
+      element.members = [];
+      body.replace(/<member\b([^>]*)\/?>/g, (_, text) => element.members.push(parseAttributes(text)));
+      data.relations.set(element.id, element);
+    }
+  }
+  return data;
+}
+
+function tagsXml(tags, indent) {
+  return Object.entries(tags)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${indent}<tag k="${escapeXml(key)}" v="${escapeXml(value)}"/>`);
+}
+
+// ===== Export =====
+// Closest point on a projected ring to the origin: { index, point, distance },
+// with `index` the segment start
+function closestOnRing(ring) {
+  let best = null;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const point = geometry.closestPointOnSegment([0, 0], ring[i], ring[i + 1]);
+    const distance = Math.hypot(point[0], point[1]);
+    if (!best || distance < best.distance) best = { index: i, point, distance };
+  }
+  return best;
+}
+
+function exportTags(category, isPoint) {
+  const rule = TAG_RULES.find((r) => r.category === category);
+  if (!rule) return isPoint ? null : { indoor: 'area' };
+  if (isPoint) {
+    // Nodes can't be rooms or areas; a point needs a tag of its own
+    const { indoor, ...tags } = rule.tags;
+    return Object.keys(tags).length > 0 ? tags : null;
+  }
+  return rule.tags.indoor || rule.tags.building ? { ...rule.tags } : { indoor: 'area', ...rule.tags };
+}
+
+// Returns { xml, counts, skipped }
+function exportOsm(geojson, options = {}) {
+  const floors = floorsOf(geojson);
+  const osmLevel = (floor) => (floor.ordinal !== undefined ? Number(floor.ordinal) : floor.id);
+  const allLevels = floors.map(osmLevel).join(';');
+  const floorById = new Map(floors.map((floor) => [floor.id, floor]));
+  const navNodes = (geojson.navGraph && geojson.navGraph.nodes) || {};
+  const skipped = [];
+
+  let nextId = -1;
+  const nodes = [];
+  const ways = [];
+  const relations = [];
+  const nodeIndex = new Map();
+
+  // Vertices are shared between ways on the same level tag only
+  const nodeAt = (coords, levelTag) => {
+    const lat = coords[1].toFixed(COORD_DECIMALS);
+    const lon = coords[0].toFixed(COORD_DECIMALS);
+    const key = `${levelTag}|${lat},${lon}`;
+    if (!nodeIndex.has(key)) {
+      const node = { id: nextId--, lat, lon, tags: {} };
+      nodeIndex.set(key, node);
+      nodes.push(node);
+    }
+    return nodeIndex.get(key);
+  };
+  const addWay = (ring, levelTag, tags, door) => {
+    const coords = ring.slice(0, -1);
+    const refs = coords.map((c) => nodeAt(c, levelTag));
+    if (door) {
+      const doorNode = nodeAt(door.coords, levelTag);
+      Object.assign(doorNode.tags, { door: 'yes', level: door.levelTag });
+      if (!refs.includes(doorNode)) refs.splice(door.index + 1, 0, doorNode);
+    }
+    const way = { id: nextId--, refs: [...refs, refs[0]].map((node) => node.id), tags };
+    ways.push(way);
+    return way;
+  };
+
+  // Where the feature's nav_node meets its outer ring, if close enough
+  const doorFor = (props, outerRing, levelNumber) => {
+    const node = navNodes[props.nav_node];
+    if (!node || !floorById.has(node.floor) || (levelNumber !== -1 && node.floor !== levelNumber)) return null;
+    const projection = geometry.createProjection(node.coords);
+    const closest = closestOnRing(outerRing.map(projection.toLocal));
+    if (!closest || closest.distance > DOOR_SNAP_M) return null;
+    return { index: closest.index, coords: projection.toLngLat(closest.point), levelTag: String(osmLevel(floorById.get(node.floor))) };
+  };
+
+  const outlines = [];
+  geojson.features.forEach((feature) => {
+    const props = feature.properties || {};
+    if (!feature.geometry) return;
+    const level = Number(props.level);
+    const floor = floorById.get(level);
+    if (level !== -1 && !floor) {
+      skipped.push({ name: props.name, reason: `level ${props.level} is not in the floors manifest` });
+      return;
+    }
+    const levelTag = level === -1 ? allLevels : String(osmLevel(floor));
+    // Level -1 features stand on the lowest floor
+    const standsOn = floor || floors[0];
+    const isOutline = props.isOutline || props.category === 'outline';
+
+    if (feature.geometry.type === 'Point') {
+      const tags = exportTags(props.category, true);
+      if (!tags) {
+        skipped.push({ name: props.name, reason: `${props.category} points have no OSM tag` });
+        return;
+      }
+      const node = nodeAt(feature.geometry.coordinates, levelTag);
+      Object.assign(node.tags, tags, { level: levelTag, name: props.name });
+      return;
+    }
+
+    const tags = isOutline
+      ? { building: options.building || 'retail', 'building:levels': String(floors.length), name: options.name }
+      : {
+        ...exportTags(props.category, false),
+        level: levelTag,
+        name: props.name,
+        // Heights are relative to the floor in OSM
+        height: props.height !== undefined ? formatNumber(props.height - standsOn.elevation) : undefined,
+        min_height: props.base_height > standsOn.elevation ? formatNumber(props.base_height - standsOn.elevation) : undefined,
+      };
+    const outlineLevel = isOutline ? '' : levelTag;
+
+    const polygons = geometry.polygonsOf(feature.geometry);
+    if (polygons.length === 1 && polygons[0].length === 1) {
+      const way = addWay(polygons[0][0], outlineLevel, tags, isOutline ? null : doorFor(props, polygons[0][0], level));
+      if (isOutline) outlines.push(way);
+      return;
+    }
+    // Holes or several parts: untagged member ways in a multipolygon relation
+    const members = polygons.flatMap((polygon) =>
+      polygon.map((ring, i) => ({ role: i === 0 ? 'outer' : 'inner', way: addWay(ring, outlineLevel, {}, null) }))
+    );
+    relations.push({ id: nextId--, members, tags: { type: 'multipolygon', ...tags } });
+    if (isOutline) outlines.push(...members.filter((m) => m.role === 'outer').map((m) => m.way));
+  });
+
+  // One indoor=level outline per floor, sharing the building outline's nodes
+  outlines.slice(0, 1).forEach((outline) => {
+    floors.forEach((floor) => {
+      ways.push({
+        id: nextId--,
+        refs: outline.refs,
+        tags: { indoor: 'level', level: String(osmLevel(floor)), 'level:ref': floor.label, name: floor.name },
+      });
+    });
+  });
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<osm version="0.6" generator="osm.js">'];
+  nodes.forEach((node) => {
+    const tagLines = tagsXml(node.tags, '    ');
+    if (tagLines.length === 0) lines.push(`  <node id="${node.id}" lat="${node.lat}" lon="${node.lon}"/>`);
+    else lines.push(`  <node id="${node.id}" lat="${node.lat}" lon="${node.lon}">`, ...tagLines, '  </node>');
+  });
+  ways.forEach((way) => {
+    lines.push(`  <way id="${way.id}">`, ...way.refs.map((ref) => `    <nd ref="${ref}"/>`), ...tagsXml(way.tags, '    '), '  </way>');
+  });
+  relations.forEach((relation) => {
+    lines.push(
+      `  <relation id="${relation.id}">`,
+      ...relation.members.map((m) => `    <member type="way" ref="${m.way.id}" role="${m.role}"/>`),
+      ...tagsXml(relation.tags, '    '),
+      '  </relation>'
+    );
+  });
+  lines.push('</osm>');
+
+  return {
+    xml: lines.join('\n') + '\n',
+    counts: { nodes: nodes.length, ways: ways.length, relations: relations.length },
+    skipped,
+  };
+}
+
+// ===== Import =====
+function closedRing(way, data) {
+  if (!way || way.refs.length < 4 || way.refs[0] !== way.refs[way.refs.length - 1]) return null;
+  const ring = way.refs.map((ref) => data.nodes.get(ref));
+  return ring.every(Boolean) ? ring.map((node) => node.coords) : null;
+}
+
+// Returns { geojson, skipped }
+function importOsm(data) {
+  const skipped = [];
+  const candidates = [];
+  const levelNames = new Map();
+
+  const consider = (element, type, geom) => {
+    const tags = element.tags;
+    if (tags.indoor === 'level') {
+      parseLevels(tags.level).forEach((level) =>
+        levelNames.set(level, { label: tags['level:ref'] || tags.ref, name: tags.name })
+      );
+      return;
+    }
+    const category = categoryFromTags(tags);
+    if (!category) return;
+    const levels = parseLevels(tags.level);
+    if (category !== 'outline' && levels.length === 0) {
+      skipped.push({ name: tags.name, reason: `${type}/${element.id} has no level tag` });
+      return;
+    }
+    if (levels.some((level) => !Number.isInteger(level))) {
+      skipped.push({ name: tags.name, reason: `${type}/${element.id} is on a split level (${tags.level})` });
+      return;
+    }
+    candidates.push({ osmId: `${type}/${element.id}`, tags, category, levels, geometry: geom });
+  };
+
+  // Member ways of multipolygons carry their tags on the relation
+  const memberWays = new Set();
+  data.relations.forEach((relation) => {
+    if (relation.tags.type !== 'multipolygon') return;
+    const rings = { outer: [], inner: [] };
+    let complete = true;
+    relation.members.filter((m) => m.type === 'way').forEach((member) => {
+      memberWays.add(member.ref);
+      const ring = closedRing(data.ways.get(member.ref), data);
+      if (!ring) complete = false;
+      else (member.role === 'inner' ? rings.inner : rings.outer).push(ring);
+    });
+    if (!complete || rings.outer.length === 0) {
+      skipped.push({ name: relation.tags.name, reason: `relation/${relation.id} has unclosed or missing member ways` });
+      return;
+    }
+    // Holes go with the outer ring that contains them
+    const polygons = rings.outer.map((outer) => [outer]);
+    rings.inner.forEach((inner) => {
+      const owner = polygons.find((polygon) => geometry.pointInRing(inner[0], polygon[0])) || polygons[0];
+      owner.push(inner);
+    });
+    consider(relation, 'relation', polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons });
+  });
+
+  data.ways.forEach((way) => {
+    if (Object.keys(way.tags).length === 0 && memberWays.has(way.id)) return;
+    const ring = closedRing(way, data);
+    if (!ring) {
+      if (categoryFromTags(way.tags)) skipped.push({ name: way.tags.name, reason: `way/${way.id} is not a closed area` });
+      return;
+    }
+    consider(way, 'way', { type: 'Polygon', coordinates: [ring] });
+  });
+
+  let unnamedDoors = 0;
+  data.nodes.forEach((node) => {
+    if (Object.keys(node.tags).length === 0) return;
+    // Doors on room outlines are left to build_navgraph.js unless named
+    if ((node.tags.door || node.tags.entrance) && !node.tags.name) {
+      unnamedDoors++;
+      return;
+    }
+    consider(node, 'node', { type: 'Point', coordinates: node.coords });
+  });
+  if (unnamedDoors > 0) skipped.push({ name: null, reason: `${unnamedDoors} unnamed door node(s)` });
+
+  // Floors: indoor=level outlines, else every level in use; shifted so the
+  // lowest is at least 0, since our level -1 means "every floor"
+  const levels = [...new Set([...levelNames.keys(), ...candidates.flatMap((c) => c.levels)])]
+    .filter(Number.isInteger)
+    .sort((a, b) => a - b);
+  if (levels.length === 0) throw new Error('Extract has no indoor features with a level tag');
+  const shift = levels[0] < 0 ? -levels[0] : 0;
+  const floors = levels.map((level) => {
+    const id = level + shift;
+    const named = levelNames.get(level) || {};
+    const floor = {
+      id,
+      label: named.label || (level === 0 ? 'G' : String(level)),
+      name: named.name || (level === 0 ? 'Ground Floor' : `Level ${level}`),
+      elevation: id * DEFAULT_FLOOR_HEIGHT_M,
+      height: DEFAULT_FLOOR_HEIGHT_M,
+    };
+    if (shift !== 0) floor.ordinal = level;
+    return floor;
+  });
+  const floorByLevel = new Map(levels.map((level, i) => [level, floors[i]]));
+  const top = Math.max(...floors.map((floor) => floor.elevation + floor.height));
+
+  const usedIds = new Map();
+  const allocate = (base) => {
+    const count = (usedIds.get(base) || 0) + 1;
+    usedIds.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  };
+
+  const features = [];
+  candidates.forEach((candidate) => {
+    const { tags, category } = candidate;
+    const color = FloorplanSchema.CATEGORY_COLORS[category];
+    const base = { ...(tags.name ? { name: tags.name } : {}), category, color, osm_id: candidate.osmId };
+
+    if (category === 'outline') {
+      features.push({
+        type: 'Feature',
+        id: allocate(`all_${slugify(tags.name || 'building_outline')}`),
+        properties: { ...base, name: tags.name || 'Building Outline', level: -1, height: 0, base_height: 0, isOutline: true },
+        geometry: candidate.geometry,
+      });
+      return;
+    }
+
+    const isPoint = candidate.geometry.type === 'Point';
+    const relativeHeight = parseMetres(tags.height);
+    const relativeBase = parseMetres(tags.min_height) || 0;
+    // A feature tagged with every floor is structure shown on every floor
+    const everyFloor = candidate.levels.length > 1 && levels.every((level) => candidate.levels.includes(level));
+    if (everyFloor) {
+      features.push({
+        type: 'Feature',
+        id: allocate(`all_${slugify(tags.name || category)}`),
+        properties: {
+          ...base,
+          level: -1,
+          height: isPoint ? POINT_HEIGHT_M : (relativeHeight !== null ? relativeHeight : top),
+          base_height: 0,
+          ...(category === 'elevator' ? { isElevator: true } : {}),
+        },
+        geometry: candidate.geometry,
+      });
+      return;
+    }
+
+    candidate.levels.forEach((level) => {
+      const floor = floorByLevel.get(level);
+      const height = isPoint ? POINT_HEIGHT_M : (relativeHeight !== null ? relativeHeight : floor.height);
+      features.push({
+        type: 'Feature',
+        id: allocate(`${levelPrefix(floor.id)}_${slugify(tags.name || category)}`),
+        properties: {
+          ...base,
+          level: floor.id,
+          height: floor.elevation + height,
+          base_height: floor.elevation + (relativeBase < height ? relativeBase : 0),
+          ...(category === 'elevator' ? { isElevator: true } : {}),
+        },
+        geometry: candidate.geometry,
+      });
+    });
+  });
+
+  // Outline first, then floor by floor, as in the files we build ourselves
+  const order = (f) => (f.properties.isOutline ? -2 : f.properties.level);
+  features.sort((a, b) => order(a) - order(b));
+
+  return { geojson: { type: 'FeatureCollection', floors, features }, skipped };
+}
+
+// ===== CLI =====
+function parseArgs(argv) {
+  const args = { command: null, positional: [], name: null, building: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--name' || arg === '--building') {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      args[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  if (!['export', 'import'].includes(args.command)) throw new Error('Command must be "export" or "import"');
+  return args;
+}
+
+function printSkipped(skipped) {
+  skipped.forEach(({ name, reason }) => console.log(`  skipped    ${name ? `"${name}": ` : ''}${reason}`));
+}
+
+function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.command === 'export') {
+      const input = args.positional[0] || DEFAULT_INPUT;
+      const output = args.positional[1] || `${path.basename(input, path.extname(input))}.osm`;
+      const geojson = JSON.parse(fs.readFileSync(input, 'utf8'));
+      const { xml, counts, skipped } = exportOsm(geojson, args);
+
+      printSkipped(skipped);
+      fs.writeFileSync(output, xml);
+      console.log(`Wrote ${counts.nodes} node(s), ${counts.ways} way(s) and ${counts.relations} relation(s) to ${output}.`);
+      console.log('Review the file in JOSM before uploading; all objects are new.');
+      return;
+    }
+
+    const input = args.positional[0];
+    if (!input) throw new Error('import needs an .osm file');
+    const output = args.positional[1] || `${path.basename(input, path.extname(input))}.geojson`;
+    const { geojson, skipped } = importOsm(parseOsm(fs.readFileSync(input, 'utf8')));
+
+    printSkipped(skipped);
+    const issues = FloorplanSchema.validateFeatures(geojson.features, {
+      floors: geojson.floors.map((floor) => floor.id),
+      source: output,
+    });
+    issues.forEach((issue) => console.warn(`${issue.severity === 'error' ? 'ERROR' : 'WARN '}  ${FloorplanSchema.formatIssue(issue)}`));
+    console.log(`${geojson.floors.length} floor(s), ${geojson.features.length} feature(s).`);
+
+    fs.writeFileSync(output, JSON.stringify(geojson, null, 2) + '\n');
+    console.log(`Wrote ${output}. Run "node build_navgraph.js ${output}" to add a navGraph.`);
+  } catch (error) {
+    console.error('Error converting OSM data:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { exportOsm, importOsm, parseOsm };
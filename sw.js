@@ -0,0 +1,132 @@
+/**
+ * Service worker: keeps the app, its floorplan data and the bundled vendor/
+ * assets (see fetch_offline_assets.js) cached so the map works with no network.
+ *
+ * - App files and data (same origin): network first, so edited GeoJSON shows up
+ *   whenever the server is reachable, falling back to the cache when it isn't
+ *   or answers too slowly
+ * - vendor/ and CDN assets (MapLibre, fonts, glyphs): cache first
+ * - Basemap tiles: cache first, kept as the map is browsed (up to MAX_TILES)
+ *
+ * Bump CACHE_VERSION when the list of app files changes.
+ */
+const CACHE_VERSION = "v3";
+const APP_CACHE = `app-${CACHE_VERSION}`;
+const ASSET_CACHE = `assets-${CACHE_VERSION}`;
+const TILE_CACHE = "tiles";
+const MAX_TILES = 2000;
+const TRIM_EVERY = 50; // tiles cached between trims
+const NETWORK_TIMEOUT_MS = 4000;
+
+// Scripts under the exact URLs index.html loads them from (?v=N included), so
+// an offline page load finds them; change both together.
+const APP_FILES = [
+  "./",
+  "index.html",
+  "styles.css",
+  "app.js?v=51",
+  "category_rules.js?v=1",
+  "floorplan_schema.js?v=3",
+  "geometry.js?v=1",
+  "venue.json",
+  "category_rules.json",
+];
+const ASSET_HOSTS = ["unpkg.com", "fonts.googleapis.com", "fonts.gstatic.com", "demotiles.maplibre.org"];
+const TILE_HOSTS = ["basemaps.cartocdn.com"];
+
+// ===== Install & Activate =====
+// Every data source in venue.json and every file in vendor/manifest.json is
+// precached along with the app files; a missing vendor/ is not an error.
+async function precache() {
+  const appCache = await caches.open(APP_CACHE);
+  await appCache.addAll(APP_FILES);
+
+  const venue = await (await appCache.match("venue.json")).json();
+  const sources = venue.buildings.flatMap((building) => building.sources.map((source) => source.url));
+  await appCache.addAll([...new Set(sources)]);
+
+  try {
+    const response = await fetch("vendor/manifest.json");
+    if (!response.ok) return;
+    const manifest = await response.clone().json();
+    const assetCache = await caches.open(ASSET_CACHE);
+    await assetCache.put("vendor/manifest.json", response);
+    await assetCache.addAll(manifest.files);
+  } catch (error) {
+    console.warn("Offline assets not cached (run fetch_offline_assets.js):", error.message);
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [APP_CACHE, ASSET_CACHE, TILE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names.filter((name) => !current.includes(name)).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ===== Strategies =====
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No response within ${ms} ms`)), ms);
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+  });
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(APP_CACHE);
+  try {
+    const response = await withTimeout(fetch(request), NETWORK_TIMEOUT_MS);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    // Scripts are versioned (app.js?v=N); any cached version beats none
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+let cachedSinceTrim = 0;
+
+async function cacheFirst(request, cacheName, limit) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque (no-cors) responses report status 0 but are still worth keeping
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    if (limit && ++cachedSinceTrim >= TRIM_EVERY) {
+      cachedSinceTrim = 0;
+      await trimCache(cache, limit);
+    }
+  }
+  return response;
+}
+
+// Drops the oldest entries once a cache grows past its limit
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (TILE_HOSTS.some((host) => url.hostname.endsWith(host))) {
+    event.respondWith(cacheFirst(request, TILE_CACHE, MAX_TILES));
+  } else if (ASSET_HOSTS.includes(url.hostname) || (url.origin === self.location.origin && url.pathname.includes("/vendor/"))) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -1,97 +1,153 @@
+/**
+ * Data-maintenance CLI: applies the name-keyword rules in category_rules.json
+ * to a GeoJSON file and reports what changed.
+ *
+ * Usage: node update_geojson.js [command] [input.geojson] [options]
+ *
+ * Commands:
+ *   apply    Categorise features and write the result (default)
+ *   check    Exit with code 1 if `apply` would change anything
+ *   summary  Print how many features are in each category
+ *
+ * Options:
+ *   --out <file>    Write to another file instead of overwriting the input
+ *   --rules <file>  Rules file (default: category_rules.json)
+ *   --dry-run       Print the per-feature diff without writing
+ *   --no-backup     Don't keep <input>.bak when overwriting the input
+ */
 const fs = require('fs');
-const path = 'building_refrenced_data.geojson';
-
-try {
-  const rawData = fs.readFileSync(path, 'utf8');
-  const geojson = JSON.parse(rawData);
-
-  geojson.features = geojson.features.map((feature, index) => {
-    const name = (feature.properties.name || "").toLowerCase();
-    
-    // Default values
-    let category = "common";
-    let height = 1;
-    let base_height = 0;
-    let color = "#475569";
-    let description = "Unidentified Structure";
-
-    // Logic matching app.js
-    if (name.includes("wall")) {
-      category = "wall";
-      height = 6;
-      color = "#334155";
-      description = "Reinforced Perimeter";
-      if (name.includes("fake")) {
-         description = "Concealed Passage";
-         color = "#475569";
-      }
-    } 
-    else if (name.includes("security") || name.includes("watchman")) {
-      category = "security";
-      height = name.includes("dog") ? 0.8 : 1.8;
-      color = "#1e3a8a"; 
-      description = name.includes("dog") ? "K9 Unit" : "Security Personnel";
-    }
-    else if (name.includes("employee") || name.includes("staff")) {
-      category = "staff";
-      height = 1.75;
-      color = "#f59e0b";
-      description = "Authorized Personnel";
+const CategoryRules = require('./category_rules');
+
+const DEFAULT_INPUT = 'building_refrenced_data.geojson';
+const DEFAULT_RULES = 'category_rules.json';
+const COMMANDS = ['apply', 'check', 'summary'];
+
+// ===== Diffing =====
+// Properties whose values differ between two feature lists of the same order
+function diffFeatures(before, after) {
+  const changes = [];
+  after.forEach((feature, index) => {
+    const oldProps = (before[index] && before[index].properties) || {};
+    const newProps = feature.properties || {};
+    const keys = [...new Set([...Object.keys(oldProps), ...Object.keys(newProps)])];
+    const changed = keys
+      .filter((key) => JSON.stringify(oldProps[key]) !== JSON.stringify(newProps[key]))
+      .map((key) => ({ key, from: oldProps[key], to: newProps[key] }));
+    if (changed.length > 0) changes.push({ index, name: newProps.name, changed });
+  });
+  return changes;
+}
+
+function formatChange({ index, name, changed }) {
+  const label = name ? `"${name}"` : '(unnamed)';
+  const fields = changed.map(({ key, from, to }) => `${key} ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+  return `  #${index} ${label}: ${fields.join(', ')}`;
+}
+
+// ===== Categorising =====
+function categoriseGeoJSON(geojson, rules) {
+  const features = CategoryRules.applyRules(geojson.features, rules);
+  const changes = diffFeatures(geojson.features, features);
+
+  // A second pass must be a no-op, or every run would keep rewriting the file
+  const unstable = diffFeatures(features, CategoryRules.applyRules(features, rules));
+
+  return { geojson: { ...geojson, features }, changes, unstable };
+}
+
+function summarise(features) {
+  const counts = {};
+  features.forEach((f) => {
+    const category = (f.properties && f.properties.category) || '(none)';
+    counts[category] = (counts[category] || 0) + 1;
+  });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+function printSummary(features) {
+  console.log(`\n${features.length} feature(s) by category:`);
+  summarise(features).forEach(([category, count]) => console.log(`  ${category.padEnd(14)} ${count}`));
+}
+
+// ===== CLI =====
+function parseArgs(argv) {
+  const options = { command: 'apply', input: DEFAULT_INPUT, out: null, rules: DEFAULT_RULES, dryRun: false, backup: true };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') options.out = argv[++i];
+    else if (argv[i] === '--rules') options.rules = argv[++i];
+    else if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--no-backup') options.backup = false;
+    else if (argv[i].startsWith('--')) throw new Error(`Unknown option ${argv[i]}`);
+    else positional.push(argv[i]);
+  }
+
+  if (COMMANDS.includes(positional[0])) options.command = positional.shift();
+  if (positional.length > 0) options.input = positional.shift();
+  if (positional.length > 0) throw new Error(`Unexpected argument ${positional[0]}`);
+  if (options.out === undefined || options.rules === undefined) throw new Error('--out and --rules need a file name');
+  return options;
+}
+
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const raw = fs.readFileSync(options.input, 'utf8');
+    const geojson = JSON.parse(raw);
+    if (!Array.isArray(geojson.features)) throw new Error(`${options.input} has no features array`);
+
+    if (options.command === 'summary') {
+      printSummary(geojson.features);
+      return;
     }
-    else if (name.includes("chair")) {
-      category = "furniture";
-      height = 0.8;
-      color = "#78350f";
-      description = "Seating";
+
+    const rules = JSON.parse(fs.readFileSync(options.rules, 'utf8'));
+    const result = categoriseGeoJSON(geojson, rules);
+
+    if (result.unstable.length > 0) {
+      console.error(`Rules in ${options.rules} are not idempotent; a second pass would change:`);
+      result.unstable.forEach((change) => console.error(formatChange(change)));
+      process.exitCode = 1;
+      return;
     }
-    else if (name.includes("desk") || name.includes("table") || name.includes("helpdesk")) {
-      category = "furniture";
-      height = 1.1;
-      color = "#a16207";
-      description = "Workstation";
+
+    console.log(`${options.input}: ${result.changes.length} of ${geojson.features.length} feature(s) would change.`);
+    if (options.command === 'check' || options.dryRun) {
+      result.changes.forEach((change) => console.log(formatChange(change)));
     }
-    else if (name.includes("camera")) {
-      category = "surveillance";
-      height = 0.5; 
-      base_height = 3.5;
-      color = "#ef4444";
-      description = "Surveillance Node";
+    printSummary(result.geojson.features);
+
+    if (options.command === 'check') {
+      if (result.changes.length > 0) {
+        console.error(`\n${options.input} is out of date with ${options.rules}; run "node update_geojson.js apply".`);
+        process.exitCode = 1;
+      }
+      return;
     }
-    else if (name.includes("target") || name.includes("locker")) {
-      category = "objective";
-      height = 1.5;
-      color = "#10b981";
-      description = "Mission Objective";
+
+    if (options.dryRun) {
+      console.log('\nDry run: no files written.');
+      return;
     }
-    else if (name.includes("door")) {
-      category = "entrance";
-      height = 2.2;
-      color = "#000000";
-      description = "Access Point";
+
+    const output = options.out || options.input;
+    if (result.changes.length === 0 && output === options.input) {
+      console.log('\nAlready up to date: nothing written.');
+      return;
     }
-    else if (name.includes("label")) {
-      category = "label";
-      height = 0;
-      color = "transparent";
-      description = "Signage";
+    if (output === options.input && options.backup) {
+      fs.copyFileSync(options.input, `${options.input}.bak`);
+      console.log(`\nBackup written to ${options.input}.bak`);
     }
+    fs.writeFileSync(output, JSON.stringify(result.geojson, null, 2) + (raw.endsWith('\n') ? '\n' : ''));
+    console.log(`Wrote ${output}.`);
+  } catch (error) {
+    console.error('Error updating GeoJSON:', error.message);
+    process.exitCode = 1;
+  }
+}
 
-    // Preserve existing properties but overwrite tactical visual ones
-    feature.properties = {
-      ...feature.properties,
-      height,
-      base_height,
-      color,
-      category,
-      description
-    };
-    
-    return feature;
-  });
-
-  fs.writeFileSync(path, JSON.stringify(geojson, null, 2));
-  console.log("Successfully updated building_refrenced_data.geojson with tactical properties.");
+if (require.main === module) main();
 
-} catch (error) {
-  console.error("Error processing GeoJSON:", error);
-}
+module.exports = { categoriseGeoJSON, diffFeatures, summarise };
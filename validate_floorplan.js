@@ -0,0 +1,100 @@
+/**
+ * Checks floorplan features against the schema in floorplan_schema.js: required
+ * properties, known categories, numeric ranges, closed polygon rings and
+ * base_height below height. The app runs the same checks at load time.
+ *
+ * Usage: node validate_floorplan.js [venue.json | input.geojson ...] [--strict]
+ *
+ * Given venue.json, every building's sources are checked. Sources with a
+ * "processor" are checked after it has run, as the app checks them.
+ *
+ * Exits with code 1 when errors are found (or warnings, with --strict).
+ */
+const fs = require('fs');
+const path = require('path');
+const FloorplanSchema = require('./floorplan_schema');
+const { findProcessor } = require('./validate_navgraph');
+
+const DEFAULT_INPUT = 'venue.json';
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+function floorIds(geojson) {
+  return Array.isArray(geojson.floors) ? geojson.floors.map((floor) => Number(floor.id)) : null;
+}
+
+// A source's features as the app loads them: after its venue.json processor
+function loadedFeatures(file, json) {
+  const processor = findProcessor(file);
+  return processor && Array.isArray(json.features) ? processor.run(json.features) : json.features;
+}
+
+// ===== Validation =====
+// Returns [{ file, note, issues }] for a venue or a single GeoJSON file
+function validateFile(file) {
+  const json = readJson(file);
+  if (!Array.isArray(json.buildings)) {
+    const processor = findProcessor(file);
+    const note = processor ? `after the "${processor.name}" processor` : null;
+    return [{ file, note, issues: FloorplanSchema.validateFeatures(loadedFeatures(file, json), { floors: floorIds(json), source: file }) }];
+  }
+
+  const dir = path.dirname(file);
+  return json.buildings.flatMap((building) => {
+    const sources = (building.sources || []).map((source) => ({ ...source, json: readJson(path.join(dir, source.url)) }));
+    // A building's floors manifest may come from any of its sources
+    const manifest = sources.map((source) => floorIds(source.json)).find(Boolean) || null;
+
+    return sources.map((source) => ({
+      file: source.url,
+      note: source.processor ? `after the "${source.processor}" processor` : null,
+      issues: FloorplanSchema.validateFeatures(loadedFeatures(path.join(dir, source.url), source.json), {
+        floors: manifest,
+        source: source.url,
+      }),
+    }));
+  });
+}
+
+// ===== CLI =====
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const inputs = args.filter((arg) => !arg.startsWith('--'));
+  if (inputs.length === 0) inputs.push(DEFAULT_INPUT);
+
+  let results;
+  try {
+    results = inputs.flatMap(validateFile);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  let failed = false;
+  results.forEach(({ file, note, issues }) => {
+    const errors = issues.filter((issue) => issue.severity === 'error');
+    const warnings = issues.filter((issue) => issue.severity === 'warning');
+
+    [...errors, ...warnings].forEach((issue) => {
+      const line = `${issue.severity === 'error' ? 'ERROR' : 'WARN '}  ${issue.code.padEnd(20)} ${FloorplanSchema.formatIssue(issue)}`;
+      if (issue.severity === 'error') console.error(line);
+      else console.warn(line);
+    });
+    console.log(`${file}: ${errors.length} error(s), ${warnings.length} warning(s)${note ? ` (${note})` : ''}.`);
+    if (errors.length > 0 || (strict && warnings.length > 0)) failed = true;
+  });
+
+  if (failed) process.exitCode = 1;
+}
+
+if (require.main === module) main();
+
+module.exports = { validateFile };
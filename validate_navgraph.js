@@ -0,0 +1,330 @@
+/**
+ * Checks the navGraph in a floorplan file for problems that otherwise only show
+ * up as "Could not find a path" at runtime.
+ *
+ * Usage: node validate_navgraph.js [input.geojson] [--strict]
+ *
+ * A file listed in venue.json with a "processor" is checked the way the app
+ * loads it, after the processor has filled in its properties. For any file the
+ * venue lists, the venue's connectors (edges between buildings) are checked
+ * against the buildings' graphs too.
+ *
+ * Features without a nav_node are warnings, since the app routes them from the
+ * nearest node; link them with link_nav_nodes.js.
+ *
+ * Exits with code 1 when errors are found (or warnings, with --strict).
+ */
+const fs = require('fs');
+const path = require('path');
+const geometry = require('./geometry');
+const CategoryRules = require('./category_rules');
+
+const DEFAULT_INPUT = 'mall-floorplan.geojson';
+const VENUE_FILE = 'venue.json';
+const RULES_FILE = 'category_rules.json';
+const EDGE_TYPES = ['walk', 'ramp', 'stairs', 'escalator', 'elevator', 'outdoor'];
+const VERTICAL_CONNECTORS = ['stairs', 'escalator', 'elevator'];
+const NON_ROUTABLE_CATEGORIES = ['corridor', 'building', 'wall', 'outline'];
+// Same tactical clutter populateNavigationOptions keeps out of the dropdowns
+const EXCLUDED_STRUCTURE_CATEGORIES = ['security', 'staff', 'furniture', 'surveillance', 'label', 'wall'];
+const CONNECTOR_TOLERANCE_M = 1;
+
+// ===== Helpers =====
+function normalizeEdge(edge) {
+  return Array.isArray(edge) ? { from: edge[0], to: edge[1], ...(edge[2] || {}) } : { ...edge };
+}
+
+function connectorType(props) {
+  if (props.isElevator) return 'elevator';
+  return VERTICAL_CONNECTORS.includes(props.category) ? props.category : null;
+}
+
+// Features a visitor can pick as a start or destination in the app
+function isRoutable(feature) {
+  const props = feature.properties || {};
+  if (!props.name || props.name === 'wall_extrude' || props.isOutline) return false;
+  if (NON_ROUTABLE_CATEGORIES.includes(props.category)) return false;
+  if (Number(props.level) === -1) return !EXCLUDED_STRUCTURE_CATEGORIES.includes(props.category);
+  return true;
+}
+
+// Minimum distance (m) from a point to a polygon feature; 0 when inside
+function distanceToFeature(coords, feature) {
+  if (geometry.pointInGeometry(coords, feature.geometry)) return 0;
+  const projection = geometry.createProjection(coords);
+  let best = Infinity;
+  geometry.polygonsOf(feature.geometry).forEach((polygon) => {
+    const ring = polygon[0].map(projection.toLocal);
+    for (let i = 0; i < ring.length - 1; i++) {
+      const closest = geometry.closestPointOnSegment([0, 0], ring[i], ring[i + 1]);
+      best = Math.min(best, Math.hypot(closest[0], closest[1]));
+    }
+  });
+  return best;
+}
+
+// ===== Processors =====
+// Node versions of the app's FEATURE_PROCESSORS
+const FEATURE_PROCESSORS = {
+  tactical: (features, dir) => {
+    const rules = JSON.parse(fs.readFileSync(path.join(dir, RULES_FILE), 'utf8'));
+    return CategoryRules.applyRules(features, rules).map((feature, index) => ({
+      ...feature,
+      id: `ref_${index}`,
+      properties: { ...feature.properties, level: -1 },
+    }));
+  },
+};
+
+// The venue.json next to a file and its source entry there, if the venue lists it
+function findVenueSource(input) {
+  const dir = path.dirname(input);
+  const venueFile = path.join(dir, VENUE_FILE);
+  if (!fs.existsSync(venueFile)) return null;
+  const venue = JSON.parse(fs.readFileSync(venueFile, 'utf8'));
+  const source = (venue.buildings || [])
+    .flatMap((building) => building.sources || [])
+    .find((entry) => path.resolve(dir, entry.url) === path.resolve(input));
+  return source ? { venue, venueFile, dir, source } : null;
+}
+
+// The processor venue.json names for a file, if the venue lists it
+function findProcessor(input) {
+  const found = findVenueSource(input);
+  if (!found || !found.source.processor) return null;
+  const { source, venueFile, dir } = found;
+  if (!FEATURE_PROCESSORS[source.processor]) throw new Error(`Unknown processor "${source.processor}" in ${venueFile}`);
+  return { name: source.processor, run: (features) => FEATURE_PROCESSORS[source.processor](features, dir) };
+}
+
+// ===== Validation =====
+function validateNavGraph(geojson) {
+  const problems = [];
+  const report = (severity, code, message) => problems.push({ severity, code, message });
+
+  const graph = geojson.navGraph;
+  if (!graph || typeof graph.nodes !== 'object' || !Array.isArray(graph.edges)) {
+    report('error', 'missing-graph', 'File has no navGraph with "nodes" and "edges"');
+    return problems;
+  }
+
+  const features = (geojson.features || []).filter((f) => f.properties && f.geometry);
+  const nodes = graph.nodes;
+  const nodeIds = Object.keys(nodes);
+
+  // Node shape
+  nodeIds.forEach((id) => {
+    const node = nodes[id];
+    if (!Array.isArray(node.coords) || node.coords.length !== 2 || node.coords.some((v) => typeof v !== 'number')) {
+      report('error', 'bad-node', `Node "${id}" has no valid [lng, lat] coords`);
+    }
+    if (typeof node.floor !== 'number') {
+      report('error', 'bad-node', `Node "${id}" has no numeric floor`);
+    }
+  });
+  // Node floors must be listed in the floors manifest, when the file has one
+  if (Array.isArray(geojson.floors)) {
+    const floorIds = geojson.floors.map((floor) => Number(floor.id));
+    nodeIds.forEach((id) => {
+      const floor = nodes[id].floor;
+      if (typeof floor === 'number' && floor !== -1 && !floorIds.includes(floor)) {
+        report('error', 'unknown-floor', `Node "${id}" is on floor ${floor}, which is not in the floors manifest`);
+      }
+    });
+  }
+  const validNode = (id) => nodes[id] && Array.isArray(nodes[id].coords) && typeof nodes[id].floor === 'number';
+
+  // Edges: dangling endpoints, types and floor changes
+  const connectors = features.filter((f) => connectorType(f.properties));
+  const adjacency = {};
+  nodeIds.forEach((id) => (adjacency[id] = []));
+
+  graph.edges.forEach((rawEdge, index) => {
+    const edge = normalizeEdge(rawEdge);
+    const label = `Edge #${index} ${JSON.stringify([edge.from, edge.to])}`;
+
+    const missing = [edge.from, edge.to].filter((id) => !nodes[id]);
+    if (missing.length > 0) {
+      missing.forEach((id) => report('error', 'dangling-edge', `${label} references unknown node "${id}"`));
+      return;
+    }
+    if (edge.from === edge.to) {
+      report('warning', 'self-loop', `${label} connects a node to itself`);
+      return;
+    }
+    if (edge.type && !EDGE_TYPES.includes(edge.type)) {
+      report('error', 'bad-edge-type', `${label} has unknown type "${edge.type}" (expected ${EDGE_TYPES.join(', ')})`);
+    }
+
+    adjacency[edge.from].push(edge.to);
+    adjacency[edge.to].push(edge.from);
+    if (!validNode(edge.from) || !validNode(edge.to)) return;
+
+    const a = nodes[edge.from];
+    const b = nodes[edge.to];
+    if (a.floor === b.floor) return;
+
+    const type = edge.type || 'elevator';
+    if (type !== 'ramp' && !VERTICAL_CONNECTORS.includes(type)) {
+      report('error', 'cross-floor-edge', `${label} joins floor ${a.floor} and ${b.floor} but is typed "${type}"`);
+      return;
+    }
+    if (type === 'ramp') return;
+
+    // Both ends must land inside the same elevator/stairs/escalator footprint
+    const through = connectors.find((f) =>
+      connectorType(f.properties) === type &&
+      distanceToFeature(a.coords, f) <= CONNECTOR_TOLERANCE_M &&
+      distanceToFeature(b.coords, f) <= CONNECTOR_TOLERANCE_M
+    );
+    if (!through) {
+      report('error', 'cross-floor-edge', `${label} joins floor ${a.floor} and ${b.floor} outside any ${type} feature`);
+    }
+  });
+
+  // Connectivity
+  const componentOf = {};
+  const components = [];
+  nodeIds.forEach((start) => {
+    if (componentOf[start] !== undefined) return;
+    const members = [start];
+    componentOf[start] = components.length;
+    for (let i = 0; i < members.length; i++) {
+      adjacency[members[i]].forEach((next) => {
+        if (componentOf[next] === undefined) {
+          componentOf[next] = components.length;
+          members.push(next);
+        }
+      });
+    }
+    components.push(members);
+  });
+
+  const mainComponent = components.reduce((best, c, i) => (c.length > components[best].length ? i : best), 0);
+  components.forEach((members, i) => {
+    if (i === mainComponent) return;
+    if (members.length === 1) {
+      report('error', 'isolated-node', `Node "${members[0]}" has no edges`);
+    } else {
+      report('error', 'disconnected', `Nodes ${members.map((id) => `"${id}"`).join(', ')} are not connected to the rest of the graph`);
+    }
+  });
+
+  // Features a visitor can route to
+  features.filter(isRoutable).forEach((feature) => {
+    const props = feature.properties;
+    const nodeId = props.nav_node;
+
+    if (!nodeId) {
+      report('warning', 'unlinked-feature', `"${props.name}" (level ${props.level}) has no nav_node link; the app routes from the nearest node (see link_nav_nodes.js)`);
+      return;
+    }
+    if (!nodes[nodeId]) {
+      report('error', 'unreachable-feature', `"${props.name}" links to unknown nav_node "${nodeId}"`);
+      return;
+    }
+    if (componentOf[nodeId] !== mainComponent) {
+      report('error', 'unreachable-feature', `"${props.name}" resolves to node "${nodeId}", which is cut off from the main graph`);
+    }
+    const level = Number(props.level);
+    if (level !== -1 && validNode(nodeId) && nodes[nodeId].floor !== level) {
+      report('error', 'floor-mismatch', `Node "${nodeId}" is on floor ${nodes[nodeId].floor} but its store "${props.name}" is on level ${level}`);
+    }
+  });
+
+  // Nodes outside the building outline. The outline's convex hull is used, as
+  // in build_navgraph.js, so entrance notches and courtyards count as inside.
+  const outlines = features.filter((f) => f.properties.isOutline || f.properties.category === 'outline');
+  if (outlines.length > 0) {
+    const envelope = {
+      geometry: {
+        type: 'Polygon',
+        coordinates: [geometry.convexHull(outlines.flatMap((f) => geometry.polygonsOf(f.geometry).flatMap((p) => p[0])))],
+      },
+    };
+    nodeIds.filter(validNode).forEach((id) => {
+      if (distanceToFeature(nodes[id].coords, envelope) > CONNECTOR_TOLERANCE_M) {
+        report('warning', 'outside-outline', `Node "${id}" lies outside the building outline`);
+      }
+    });
+  }
+
+  return problems;
+}
+
+// ===== Venue Connectors =====
+// The app adds venue.json's connectors to the merged graph and silently skips
+// any whose ends are missing, so both ends must be nodes of a building's graph
+function validateConnectors(venue, dir) {
+  const problems = [];
+  const report = (severity, code, message) => problems.push({ severity, code, message });
+
+  const owner = {}; // node id -> building id
+  (venue.buildings || []).forEach((building) => {
+    (building.sources || []).forEach((source) => {
+      const graph = JSON.parse(fs.readFileSync(path.join(dir, source.url), 'utf8')).navGraph;
+      Object.keys((graph && graph.nodes) || {}).forEach((id) => (owner[id] = building.id));
+    });
+  });
+
+  (venue.connectors || []).forEach((rawEdge, index) => {
+    const edge = normalizeEdge(rawEdge);
+    const label = `Connector #${index} ${JSON.stringify([edge.from, edge.to])}`;
+    const missing = [edge.from, edge.to].filter((id) => !owner[id]);
+    missing.forEach((id) => report('error', 'dangling-connector', `${label} in ${VENUE_FILE} references "${id}", which no building's navGraph has`));
+    if (edge.type && !EDGE_TYPES.includes(edge.type)) {
+      report('error', 'bad-edge-type', `${label} has unknown type "${edge.type}" (expected ${EDGE_TYPES.join(', ')})`);
+    }
+    if (missing.length === 0 && owner[edge.from] === owner[edge.to]) {
+      report('warning', 'connector-in-building', `${label} joins two nodes of "${owner[edge.from]}"; it belongs in that building's navGraph`);
+    }
+  });
+
+  return problems;
+}
+
+// ===== CLI =====
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const input = args.find((arg) => !arg.startsWith('--')) || DEFAULT_INPUT;
+
+  let geojson;
+  let processor;
+  let venueSource;
+  try {
+    geojson = JSON.parse(fs.readFileSync(input, 'utf8'));
+    processor = findProcessor(input);
+    if (processor) geojson = { ...geojson, features: processor.run(geojson.features || []) };
+    venueSource = findVenueSource(input);
+  } catch (error) {
+    console.error(`Could not read ${input}:`, error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const problems = validateNavGraph(geojson);
+  try {
+    if (venueSource) problems.push(...validateConnectors(venueSource.venue, venueSource.dir));
+  } catch (error) {
+    console.error(`Could not check the connectors in ${venueSource.venueFile}:`, error.message);
+    process.exitCode = 1;
+    return;
+  }
+  const errors = problems.filter((p) => p.severity === 'error');
+  const warnings = problems.filter((p) => p.severity === 'warning');
+
+  [...errors, ...warnings].forEach((p) => {
+    const line = `${p.severity === 'error' ? 'ERROR' : 'WARN '}  ${p.code.padEnd(20)} ${p.message}`;
+    if (p.severity === 'error') console.error(line);
+    else console.warn(line);
+  });
+
+  const note = processor ? ` (after the "${processor.name}" processor)` : '';
+  console.log(`${input}: ${errors.length} error(s), ${warnings.length} warning(s)${note}.`);
+  if (errors.length > 0 || (strict && warnings.length > 0)) process.exitCode = 1;
+}
+
+if (require.main === module) main();
+
+module.exports = { validateNavGraph, validateConnectors, findProcessor };